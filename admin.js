@@ -4,11 +4,38 @@
  */
 
 import { db } from './firebase-config.js';
-import { reflow } from './scheduler.js';
+import {
+    reflow,
+    resolveScheduleProfile,
+    getMaxBookableSlots,
+    timeToMinutes,
+    minutesToTime,
+    createDefaultSchedule,
+    getLayout,
+    normalizeLayout,
+    getBlockDuration,
+    snapDuration,
+    DEFAULT_PROFILE,
+    BLOCK_TYPES,
+    SNAP_INCREMENT,
+    STATUS_TIMESTAMPS,
+    CANCELLATION_REASONS,
+    cancelAppointment,
+    getCancelledAppointments,
+    isDayClosed
+} from './scheduler.js';
+import { loadLayoutTemplates, TEMPLATES_COLLECTION } from './templates.js';
+import { migrateSchedule, countBookings, SCHEMA_VERSION } from './migrations.js';
+import {
+    getAssignmentDocId,
+    getAssignmentExperts,
+    getAssignmentScheduleId,
+    isLegacyDocId,
+    buildAssignmentExperts
+} from './schedules.js';
 import {
     collection,
     doc,
-    getDoc,
     getDocs,
     setDoc,
     updateDoc,
@@ -16,9 +43,12 @@ import {
     query,
     where,
     orderBy,
-    onSnapshot
+    onSnapshot,
+    runTransaction,
+    increment
 } from "https://www.gstatic.com/firebasejs/11.1.0/firebase-firestore.js";
 import { getSession, loginAdmin, logout, isAdmin } from './auth.js';
+import { escapeHtml } from './utils.js';
 
 // ==========================================
 // Inlined Notifications (notify.js)
@@ -170,15 +200,26 @@ function hideLoading() {
 let pharmacies = [];
 let admins = [];
 let pharmaciesById = {};
-let dateAssignments = {};
+let dateAssignments = {}; // { [date]: [assignment, ...] } - several pharmacies can share a date
 let reservations = [];
+let dayReports = []; // Reports left by experts when closing a day, one per schedule
 let selectedDates = [];
 let lockedDates = new Set();
 let dateAssignmentCalendar = null;
-let bookingsByDate = {}; // { [date]: { total, booked } }
+let bookingsByDate = {}; // { [date]: { total, booked } } across all pharmacies and experts
+let scheduleTotals = {}; // { [scheduleDocId]: { date, total, booked } }
 let pharmacySearchQuery = '';
 let monthlySummaryMonth = '';
-const MAX_BOOKABLE_SLOTS = 11; // 11 slots per day (with lunch + 2 tech breaks)
+let editingOverrides = {}; // Per-date schedule overrides being edited in the pharmacy modal
+let experts = [];
+let expertsById = {};
+let editingExpertPhoto = ''; // Photo data URL being edited in the expert modal
+let templates = [];
+let templatesById = {};
+let editingLayout = []; // Blocks of the template being edited
+let migrationPlan = []; // Schedules the last migration dry run would change
+let migrationScanned = null; // Schedules that dry run read; null before the first one
+let cancellingReservationId = null; // Reservation open in the cancel modal
 
 // ==========================================
 // Initialization
@@ -217,6 +258,8 @@ async function initializeAdmin() {
 
     // Load data
     await loadPharmacies();
+    await loadExperts();
+    await loadTemplates();
     await loadDateAssignments();
     await loadReservations();
 
@@ -224,10 +267,12 @@ async function initializeAdmin() {
     document.getElementById('logoutBtn')?.addEventListener('click', logout);
     document.getElementById('addPharmacyBtn')?.addEventListener('click', () => openPharmacyModal());
     document.getElementById('addFirstPharmacyBtn')?.addEventListener('click', () => openPharmacyModal());
+    document.getElementById('addExpertBtn')?.addEventListener('click', () => openExpertModal());
+    document.getElementById('addTemplateBtn')?.addEventListener('click', () => openTemplateModal());
     document.getElementById('assignDatesBtn')?.addEventListener('click', assignDates);
     document.getElementById('clearSelectedDatesBtn')?.addEventListener('click', clearSelectedDates);
     document.getElementById('assignPharmacySelect')?.addEventListener('change', () => {
-        filterSelectedDatesForPharmacy();
+        prefillAssignExperts();
         dateAssignmentCalendar?.redraw();
         updateSelectedDatesList();
         updateAssignButton();
@@ -237,6 +282,9 @@ async function initializeAdmin() {
         filterAndRenderPharmacies();
     });
     document.getElementById('exportReservationsCsvBtn')?.addEventListener('click', exportReservationsCsv);
+    document.getElementById('migrationDryRunBtn')?.addEventListener('click', runMigrationDryRun);
+    document.getElementById('runMigrationBtn')?.addEventListener('click', runMigration);
+    renderMigrationPlan();
 
     // Admin management listeners
     document.getElementById('addAdminBtn')?.addEventListener('click', () => openAdminUserModal());
@@ -519,9 +567,51 @@ function initModals() {
     document.getElementById('closePharmacyModal')?.addEventListener('click', closePharmacyModal);
     document.getElementById('cancelPharmacyModal')?.addEventListener('click', closePharmacyModal);
     document.getElementById('savePharmacyBtn')?.addEventListener('click', savePharmacy);
+    document.getElementById('addPharmacyOverrideBtn')?.addEventListener('click', addProfileOverride);
+    document.getElementById('pharmacyOverridesList')?.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-override-date]');
+        if (removeBtn) removeProfileOverride(removeBtn.dataset.overrideDate);
+    });
 
     // Close on backdrop click
     pharmacyModal?.querySelector('.admin-modal__backdrop')?.addEventListener('click', closePharmacyModal);
+
+    const expertModal = document.getElementById('expertModal');
+    document.getElementById('closeExpertModal')?.addEventListener('click', closeExpertModal);
+    document.getElementById('cancelExpertModal')?.addEventListener('click', closeExpertModal);
+    document.getElementById('saveExpertBtn')?.addEventListener('click', saveExpert);
+    document.getElementById('uploadExpertPhotoBtn')?.addEventListener('click', () => {
+        document.getElementById('expertPhotoInput')?.click();
+    });
+    document.getElementById('expertPhotoInput')?.addEventListener('change', handleExpertPhotoUpload);
+    document.getElementById('removeExpertPhotoBtn')?.addEventListener('click', () => setExpertPhotoPreview(''));
+    expertModal?.querySelector('.admin-modal__backdrop')?.addEventListener('click', closeExpertModal);
+
+    const templateModal = document.getElementById('templateModal');
+    document.getElementById('closeTemplateModal')?.addEventListener('click', closeTemplateModal);
+    document.getElementById('cancelTemplateModal')?.addEventListener('click', closeTemplateModal);
+    document.getElementById('saveTemplateBtn')?.addEventListener('click', saveTemplate);
+    document.getElementById('templateAddBlocks')?.addEventListener('click', (e) => {
+        const addBtn = e.target.closest('[data-add-block]');
+        if (addBtn) addLayoutBlock(addBtn.dataset.addBlock);
+    });
+    document.getElementById('templateBlocksList')?.addEventListener('click', (e) => {
+        const moveBtn = e.target.closest('[data-move-block]');
+        if (moveBtn) moveLayoutBlock(parseInt(moveBtn.dataset.moveBlock, 10), parseInt(moveBtn.dataset.step, 10));
+        const removeBtn = e.target.closest('[data-remove-block]');
+        if (removeBtn) removeLayoutBlock(parseInt(removeBtn.dataset.removeBlock, 10));
+    });
+    document.getElementById('templateBlocksList')?.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-gap-index]');
+        if (input) resizeLayoutGap(parseInt(input.dataset.gapIndex, 10), input.value);
+    });
+    templateModal?.querySelector('.admin-modal__backdrop')?.addEventListener('click', closeTemplateModal);
+
+    const cancelReservationModal = document.getElementById('cancelReservationModal');
+    document.getElementById('closeCancelReservationModal')?.addEventListener('click', closeCancelReservationModal);
+    document.getElementById('dismissCancelReservationModal')?.addEventListener('click', closeCancelReservationModal);
+    document.getElementById('confirmCancelReservationBtn')?.addEventListener('click', confirmCancelReservation);
+    cancelReservationModal?.querySelector('.admin-modal__backdrop')?.addEventListener('click', closeCancelReservationModal);
 }
 
 function openPharmacyModal(pharmacyId = null) {
@@ -537,6 +627,7 @@ function openPharmacyModal(pharmacyId = null) {
             document.getElementById('pharmacyContactInput').value = pharmacy.contact || '';
             document.getElementById('pharmacyPinInput').value = pharmacy.pin;
             document.getElementById('pharmacyActiveInput').checked = pharmacy.active;
+            fillProfileInputs(pharmacy);
         }
     } else {
         if (title) title.textContent = 'Nova Farmácia';
@@ -545,11 +636,148 @@ function openPharmacyModal(pharmacyId = null) {
         document.getElementById('pharmacyContactInput').value = '';
         document.getElementById('pharmacyPinInput').value = '';
         document.getElementById('pharmacyActiveInput').checked = true;
+        fillProfileInputs(null);
     }
 
     modal?.classList.remove('hidden');
 }
 
+// ==========================================
+// Pharmacy Schedule Profile
+// ==========================================
+
+function fillProfileInputs(pharmacy) {
+    const profile = resolveScheduleProfile(pharmacy);
+    document.getElementById('pharmacyDayStartInput').value = profile.dayStart;
+    document.getElementById('pharmacyDayEndInput').value = profile.dayEnd;
+    document.getElementById('pharmacySlotDurationInput').value = profile.slotDuration;
+    document.getElementById('pharmacyLunchDurationInput').value = profile.lunchDuration;
+    document.getElementById('pharmacyTechBreakDurationInput').value = profile.techBreakDuration;
+    document.getElementById('pharmacyLunchWindowStartInput').value = profile.rules.lunchWindowStart;
+    document.getElementById('pharmacyLunchWindowEndInput').value = profile.rules.lunchWindowEnd;
+    document.getElementById('pharmacyMaxConsecutiveInput').value = profile.rules.maxConsecutiveSessions;
+    document.getElementById('pharmacyMinBetweenInput').value = profile.rules.minMinutesBetweenSessions;
+    document.getElementById('pharmacyBlockSaveInput').checked = profile.rules.blockSave;
+
+    editingOverrides = { ...(pharmacy?.scheduleOverrides || {}) };
+    renderProfileOverrides();
+}
+
+function readProfileInputs() {
+    return {
+        dayStart: document.getElementById('pharmacyDayStartInput').value,
+        dayEnd: document.getElementById('pharmacyDayEndInput').value,
+        slotDuration: parseInt(document.getElementById('pharmacySlotDurationInput').value, 10),
+        lunchDuration: parseInt(document.getElementById('pharmacyLunchDurationInput').value, 10),
+        techBreakDuration: parseInt(document.getElementById('pharmacyTechBreakDurationInput').value, 10),
+        rules: {
+            lunchWindowStart: document.getElementById('pharmacyLunchWindowStartInput').value,
+            lunchWindowEnd: document.getElementById('pharmacyLunchWindowEndInput').value,
+            maxConsecutiveSessions: parseInt(document.getElementById('pharmacyMaxConsecutiveInput').value, 10),
+            minMinutesBetweenSessions: parseInt(document.getElementById('pharmacyMinBetweenInput').value, 10),
+            blockSave: document.getElementById('pharmacyBlockSaveInput').checked
+        }
+    };
+}
+
+/**
+ * Returns an error message for an invalid profile, or null
+ */
+function validateProfile(profile) {
+    if (!profile.dayStart || !profile.dayEnd) return 'Indique abertura e fecho';
+    if (timeToMinutes(profile.dayEnd) <= timeToMinutes(profile.dayStart)) return 'O fecho deve ser depois da abertura';
+
+    const durations = [profile.slotDuration, profile.lunchDuration, profile.techBreakDuration];
+    if (durations.some(d => !Number.isInteger(d) || d <= 0 || d > 240)) return 'Durações devem estar entre 1 e 240 minutos';
+
+    const { rules } = profile;
+    if (!rules.lunchWindowStart || !rules.lunchWindowEnd) return 'Indique o intervalo do almoço';
+    if (timeToMinutes(rules.lunchWindowEnd) < timeToMinutes(rules.lunchWindowStart)) return 'O fim do intervalo do almoço deve ser depois do início';
+    if (!Number.isInteger(rules.maxConsecutiveSessions) || rules.maxConsecutiveSessions < 0 || rules.maxConsecutiveSessions > 20) {
+        return 'Sessões seguidas devem estar entre 0 e 20';
+    }
+    if (!Number.isInteger(rules.minMinutesBetweenSessions) || rules.minMinutesBetweenSessions < 0 || rules.minMinutesBetweenSessions > 120) {
+        return 'O intervalo entre sessões deve estar entre 0 e 120 minutos';
+    }
+
+    return null;
+}
+
+function renderProfileOverrides() {
+    const list = document.getElementById('pharmacyOverridesList');
+    if (!list) return;
+
+    const dates = Object.keys(editingOverrides).sort();
+    if (dates.length === 0) {
+        list.innerHTML = '<span class="profile-overrides-empty">Sem exceções</span>';
+        return;
+    }
+
+    list.innerHTML = dates.map(date => {
+        const o = editingOverrides[date];
+        const hours = o.dayStart || o.dayEnd ? `${o.dayStart || '…'}–${o.dayEnd || '…'}` : '';
+        const slot = o.slotDuration ? `${o.slotDuration} min` : '';
+        return `
+            <div class="profile-override-item">
+                <span><strong>${date}</strong> ${[hours, slot].filter(Boolean).join(' · ')}</span>
+                <button class="remove-date-btn" type="button" data-override-date="${date}" title="Remover">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function addProfileOverride() {
+    const dateInput = document.getElementById('pharmacyOverrideDateInput');
+    const startInput = document.getElementById('pharmacyOverrideStartInput');
+    const endInput = document.getElementById('pharmacyOverrideEndInput');
+    const slotInput = document.getElementById('pharmacyOverrideSlotInput');
+
+    const date = dateInput.value;
+    if (!date) {
+        showToast('Escolha uma data', 'warning');
+        return;
+    }
+
+    const override = {};
+    if (startInput.value) override.dayStart = startInput.value;
+    if (endInput.value) override.dayEnd = endInput.value;
+    if (slotInput.value) override.slotDuration = parseInt(slotInput.value, 10);
+
+    if (Object.keys(override).length === 0) {
+        showToast('Indique o horário ou a duração da sessão', 'warning');
+        return;
+    }
+
+    const error = validateProfile({ ...readProfileInputs(), ...override });
+    if (error) {
+        showToast(error, 'warning');
+        return;
+    }
+
+    editingOverrides[date] = override;
+    dateInput.value = '';
+    startInput.value = '';
+    endInput.value = '';
+    slotInput.value = '';
+    renderProfileOverrides();
+}
+
+function removeProfileOverride(date) {
+    delete editingOverrides[date];
+    renderProfileOverrides();
+}
+
+/**
+ * Bookable slots for one expert's day without a saved schedule, from the pharmacy's profile
+ */
+function getDefaultBookableSlots(dateStr, pharmacyId) {
+    return getMaxBookableSlots(resolveScheduleProfile(pharmaciesById[pharmacyId], dateStr));
+}
+
+function getBookingInfo(dateStr) {
+    return bookingsByDate[dateStr] || { total: getDefaultBookableSlots(dateStr, null), booked: 0 };
+}
+
 function closePharmacyModal() {
     document.getElementById('pharmacyModal')?.classList.add('hidden');
 }
@@ -560,6 +788,7 @@ async function savePharmacy() {
     const contact = document.getElementById('pharmacyContactInput').value.trim();
     const pin = document.getElementById('pharmacyPinInput').value.trim();
     const active = document.getElementById('pharmacyActiveInput').checked;
+    const scheduleProfile = readProfileInputs();
 
     if (!name) {
         showToast('Nome é obrigatório', 'warning');
@@ -571,16 +800,25 @@ async function savePharmacy() {
         return;
     }
 
+    const profileError = validateProfile(scheduleProfile);
+    if (profileError) {
+        showToast(profileError, 'warning');
+        return;
+    }
+
     try {
         const docId = pharmacyId || `pharmacy_${Date.now()}`;
 
         // 1. Save Public Data (NO PIN)
+        // mergeFields replaces the override map as a whole so removed dates are dropped
         await setDoc(doc(db, 'pharmacies', docId), {
             name,
             contact,
             active,
+            scheduleProfile,
+            scheduleOverrides: editingOverrides,
             updatedAt: new Date().toISOString()
-        }, { merge: true });
+        }, { mergeFields: ['name', 'contact', 'active', 'scheduleProfile', 'scheduleOverrides', 'updatedAt'] });
 
         // 2. Save Secure PIN
         await setDoc(doc(db, 'pharmacy_secrets', docId), {
@@ -603,8 +841,9 @@ async function savePharmacy() {
             const schedulesRef = collection(db, 'schedules');
             const q2 = query(schedulesRef, where('pharmacyId', '==', docId));
             const snap2 = await getDocs(q2);
+            // Bumping the version makes open tablets merge instead of overwriting the new name
             snap2.docs.forEach(d => {
-                updates.push(updateDoc(d.ref, { pharmacyName: name }));
+                updates.push(updateDoc(d.ref, { pharmacyName: name, version: increment(1) }));
             });
 
             if (updates.length > 0) await Promise.all(updates);
@@ -641,6 +880,397 @@ window.deletePharmacy = async function (pharmacyId) {
     }
 };
 
+// ==========================================
+// Skin Expert Directory
+// ==========================================
+
+const DEFAULT_EXPERT_PHOTO = './assets/expert-avatar.svg';
+const EXPERT_PHOTO_SIZE = 256; // px - keeps photo data URLs well under the Firestore document limit
+
+async function loadExperts() {
+    try {
+        const snapshot = await getDocs(collection(db, 'experts'));
+        experts = snapshot.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        expertsById = Object.fromEntries(experts.map(expert => [expert.id, expert]));
+
+        renderExpertsTable();
+        renderAssignExpertsList();
+    } catch (error) {
+        console.error('Error loading experts:', error);
+    }
+}
+
+function renderExpertsTable() {
+    const tbody = document.getElementById('expertsTableBody');
+    const empty = document.getElementById('expertsEmpty');
+
+    if (!tbody) return;
+
+    if (experts.length === 0) {
+        tbody.innerHTML = '';
+        empty?.classList.remove('hidden');
+        return;
+    }
+
+    empty?.classList.add('hidden');
+
+    tbody.innerHTML = experts.map(expert => `
+        <tr>
+            <td>
+                <div class="expert-table-name">
+                    <img class="expert-photo" src="${escapeHtml(expert.photoUrl || DEFAULT_EXPERT_PHOTO)}" alt="">
+                    <strong>${escapeHtml(expert.name)}</strong>
+                </div>
+            </td>
+            <td>${escapeHtml((expert.languages || []).join(', ') || '-')}</td>
+            <td>${escapeHtml((expert.regions || []).join(', ') || '-')}</td>
+            <td>
+                <span class="admin-badge ${expert.active ? 'admin-badge--success' : 'admin-badge--muted'}">
+                    ${expert.active ? 'Ativo' : 'Inativo'}
+                </span>
+            </td>
+            <td>
+                <div class="admin-actions">
+                    <button class="admin-action-btn" onclick="editExpert('${expert.id}')" title="Editar">
+                        <span class="material-symbols-outlined">edit</span>
+                    </button>
+                    <button class="admin-action-btn admin-action-btn--danger" onclick="deleteExpert('${expert.id}')" title="Eliminar">
+                        <span class="material-symbols-outlined">delete</span>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Split a comma-separated field into trimmed values
+ */
+function parseListInput(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function openExpertModal(expertId = null) {
+    const expert = expertId ? expertsById[expertId] : null;
+    const title = document.getElementById('expertModalTitle');
+
+    if (title) title.textContent = expert ? 'Editar Especialista' : 'Novo Especialista';
+    document.getElementById('expertId').value = expert?.id || '';
+    document.getElementById('expertNameInput').value = expert?.name || '';
+    document.getElementById('expertLanguagesInput').value = (expert?.languages || []).join(', ');
+    document.getElementById('expertRegionsInput').value = (expert?.regions || []).join(', ');
+    document.getElementById('expertActiveInput').checked = expert ? !!expert.active : true;
+    setExpertPhotoPreview(expert?.photoUrl || '');
+
+    document.getElementById('expertModal')?.classList.remove('hidden');
+}
+
+function closeExpertModal() {
+    document.getElementById('expertModal')?.classList.add('hidden');
+    const input = document.getElementById('expertPhotoInput');
+    if (input) input.value = '';
+}
+
+function setExpertPhotoPreview(photoUrl) {
+    editingExpertPhoto = photoUrl;
+    const preview = document.getElementById('expertPhotoPreview');
+    if (preview) preview.src = photoUrl || DEFAULT_EXPERT_PHOTO;
+}
+
+/**
+ * Downscale the chosen photo to a square JPEG data URL
+ */
+function handleExpertPhotoUpload(event) {
+    const file = event.target.files?.[0];
+    if (!file || !file.type.startsWith('image/')) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const img = new Image();
+        img.onload = () => {
+            const side = Math.min(img.width, img.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = EXPERT_PHOTO_SIZE;
+            canvas.height = EXPERT_PHOTO_SIZE;
+            canvas.getContext('2d').drawImage(
+                img,
+                (img.width - side) / 2, (img.height - side) / 2, side, side,
+                0, 0, EXPERT_PHOTO_SIZE, EXPERT_PHOTO_SIZE
+            );
+            setExpertPhotoPreview(canvas.toDataURL('image/jpeg', 0.85));
+        };
+        img.onerror = () => showToast('Imagem inválida', 'warning');
+        img.src = e.target.result;
+    };
+    reader.readAsDataURL(file);
+}
+
+async function saveExpert() {
+    const expertId = document.getElementById('expertId').value;
+    const name = document.getElementById('expertNameInput').value.trim();
+    const languages = parseListInput(document.getElementById('expertLanguagesInput').value);
+    const regions = parseListInput(document.getElementById('expertRegionsInput').value);
+    const active = document.getElementById('expertActiveInput').checked;
+
+    if (!name) {
+        showToast('Nome é obrigatório', 'warning');
+        return;
+    }
+
+    try {
+        const docId = expertId || `expert_${Date.now()}`;
+        await setDoc(doc(db, 'experts', docId), {
+            name,
+            photoUrl: editingExpertPhoto,
+            languages,
+            regions,
+            active,
+            updatedAt: new Date().toISOString()
+        }, { merge: true });
+
+        closeExpertModal();
+        await loadExperts();
+        await loadDateAssignments(); // Refreshes denormalized names on assignments
+        showToast('Especialista guardado', 'success');
+    } catch (error) {
+        console.error('Error saving expert:', error);
+        showToast('Erro ao guardar especialista', 'error');
+    }
+}
+
+window.editExpert = openExpertModal;
+
+window.deleteExpert = async function (expertId) {
+    const today = formatLocalDate(new Date());
+    const upcoming = Object.values(dateAssignments).flat()
+        .filter(a => a.date >= today && getAssignmentExperts(a).some(e => e.expertId === expertId));
+
+    const message = upcoming.length > 0
+        ? `Este especialista tem ${upcoming.length} data(s) atribuída(s). As atribuições mantêm o nome, mas deixam de mostrar a foto. Eliminar mesmo assim?`
+        : 'Tem certeza que deseja eliminar este especialista?';
+    const confirm = await showConfirm(message, { confirmText: 'Eliminar', confirmStyle: 'danger' });
+
+    if (!confirm) return;
+
+    try {
+        await deleteDoc(doc(db, 'experts', expertId));
+        await loadExperts();
+        showToast('Especialista eliminado', 'success');
+    } catch (error) {
+        console.error('Error deleting expert:', error);
+        showToast('Erro ao eliminar especialista', 'error');
+    }
+};
+
+// ==========================================
+// Day Layout Templates
+// ==========================================
+
+const LAYOUT_BLOCK_LABELS = {
+    [BLOCK_TYPES.SLOT]: 'Sessão',
+    [BLOCK_TYPES.LUNCH]: 'Almoço',
+    [BLOCK_TYPES.TECH_BREAK]: 'Pausa Técnica',
+    [BLOCK_TYPES.GAP]: 'Indisponível'
+};
+
+async function loadTemplates() {
+    try {
+        templates = await loadLayoutTemplates();
+        templatesById = Object.fromEntries(templates.map(template => [template.id, template]));
+        renderTemplatesTable();
+    } catch (error) {
+        console.error('Error loading templates:', error);
+    }
+}
+
+/**
+ * Start time of each block on a day with the default hours
+ */
+function getLayoutStarts(layout) {
+    let minutes = timeToMinutes(DEFAULT_PROFILE.dayStart);
+    return layout.map(entry => {
+        const start = minutesToTime(minutes);
+        minutes += getBlockDuration(entry, DEFAULT_PROFILE);
+        return start;
+    });
+}
+
+/**
+ * One-line summary, e.g. "11 sessões · almoço às 12:45 · 2 pausas"
+ */
+function describeLayout(layout) {
+    const count = type => layout.filter(entry => entry.type === type).length;
+    const lunchIndex = layout.findIndex(entry => entry.type === BLOCK_TYPES.LUNCH);
+    const gapMinutes = layout.filter(entry => entry.type === BLOCK_TYPES.GAP)
+        .reduce((sum, entry) => sum + entry.duration, 0);
+
+    return [
+        `${count(BLOCK_TYPES.SLOT)} sessões`,
+        lunchIndex !== -1 ? `almoço às ${getLayoutStarts(layout)[lunchIndex]}` : 'sem almoço',
+        count(BLOCK_TYPES.TECH_BREAK) > 0 ? `${count(BLOCK_TYPES.TECH_BREAK)} pausa(s)` : null,
+        gapMinutes > 0 ? `${gapMinutes} min indisponível` : null
+    ].filter(Boolean).join(' · ');
+}
+
+function renderTemplatesTable() {
+    const tbody = document.getElementById('templatesTableBody');
+    const empty = document.getElementById('templatesEmpty');
+
+    if (!tbody) return;
+
+    if (templates.length === 0) {
+        tbody.innerHTML = '';
+        empty?.classList.remove('hidden');
+        return;
+    }
+
+    empty?.classList.add('hidden');
+
+    tbody.innerHTML = templates.map(template => `
+        <tr>
+            <td><strong>${escapeHtml(template.name)}</strong></td>
+            <td>${describeLayout(template.blocks)}</td>
+            <td>
+                <div class="admin-actions">
+                    <button class="admin-action-btn" onclick="editTemplate('${template.id}')" title="Editar">
+                        <span class="material-symbols-outlined">edit</span>
+                    </button>
+                    <button class="admin-action-btn admin-action-btn--danger" onclick="deleteTemplate('${template.id}')" title="Eliminar">
+                        <span class="material-symbols-outlined">delete</span>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function openTemplateModal(templateId = null) {
+    const template = templateId ? templatesById[templateId] : null;
+    const title = document.getElementById('templateModalTitle');
+
+    if (title) title.textContent = template ? 'Editar Modelo' : 'Novo Modelo';
+    document.getElementById('templateId').value = template?.id || '';
+    document.getElementById('templateNameInput').value = template?.name || '';
+
+    // New templates start from the standard day
+    editingLayout = template ? template.blocks.map(entry => ({ ...entry })) : getLayout(createDefaultSchedule());
+    renderLayoutEditor();
+
+    document.getElementById('templateModal')?.classList.remove('hidden');
+}
+
+function closeTemplateModal() {
+    document.getElementById('templateModal')?.classList.add('hidden');
+}
+
+function renderLayoutEditor() {
+    const list = document.getElementById('templateBlocksList');
+    if (!list) return;
+
+    const starts = getLayoutStarts(editingLayout);
+    const last = editingLayout.length - 1;
+
+    list.innerHTML = editingLayout.map((entry, index) => `
+        <li class="layout-editor__row layout-editor__row--${entry.type}">
+            <span class="layout-editor__time">${starts[index]}</span>
+            <span class="layout-editor__label">${LAYOUT_BLOCK_LABELS[entry.type]}</span>
+            ${entry.type === BLOCK_TYPES.GAP ? `
+            <input type="number" class="admin-input layout-editor__duration" min="${SNAP_INCREMENT}" max="240"
+                step="${SNAP_INCREMENT}" value="${entry.duration}" data-gap-index="${index}" aria-label="Minutos">` : ''}
+            <button class="admin-action-btn" type="button" data-move-block="${index}" data-step="-1" title="Subir" ${index === 0 ? 'disabled' : ''}>
+                <span class="material-symbols-outlined">arrow_upward</span>
+            </button>
+            <button class="admin-action-btn" type="button" data-move-block="${index}" data-step="1" title="Descer" ${index === last ? 'disabled' : ''}>
+                <span class="material-symbols-outlined">arrow_downward</span>
+            </button>
+            <button class="admin-action-btn admin-action-btn--danger" type="button" data-remove-block="${index}" title="Remover">
+                <span class="material-symbols-outlined">close</span>
+            </button>
+        </li>
+    `).join('');
+
+    // A day has a single lunch
+    const hasLunch = editingLayout.some(entry => entry.type === BLOCK_TYPES.LUNCH);
+    document.querySelector('[data-add-block="lunch"]')?.toggleAttribute('disabled', hasLunch);
+}
+
+function addLayoutBlock(type) {
+    editingLayout.push(type === BLOCK_TYPES.GAP ? { type, duration: SNAP_INCREMENT } : { type });
+    renderLayoutEditor();
+}
+
+function moveLayoutBlock(index, step) {
+    const target = index + step;
+    if (target < 0 || target >= editingLayout.length) return;
+
+    [editingLayout[index], editingLayout[target]] = [editingLayout[target], editingLayout[index]];
+    renderLayoutEditor();
+}
+
+function removeLayoutBlock(index) {
+    editingLayout.splice(index, 1);
+    renderLayoutEditor();
+}
+
+function resizeLayoutGap(index, value) {
+    if (editingLayout[index]?.type !== BLOCK_TYPES.GAP) return;
+    editingLayout[index] = { ...editingLayout[index], duration: Math.min(240, snapDuration(value)) };
+    renderLayoutEditor();
+}
+
+async function saveTemplate() {
+    const templateId = document.getElementById('templateId').value;
+    const name = document.getElementById('templateNameInput').value.trim();
+    const blocks = normalizeLayout(editingLayout);
+
+    if (!name) {
+        showToast('Nome é obrigatório', 'warning');
+        return;
+    }
+    if (!blocks.some(entry => entry.type === BLOCK_TYPES.SLOT)) {
+        showToast('O modelo precisa de pelo menos uma sessão', 'warning');
+        return;
+    }
+
+    try {
+        const docId = templateId || `template_${Date.now()}`;
+        await setDoc(doc(db, TEMPLATES_COLLECTION, docId), {
+            name,
+            blocks,
+            updatedAt: new Date().toISOString()
+        }, { merge: true });
+
+        closeTemplateModal();
+        await loadTemplates();
+        showToast('Modelo guardado', 'success');
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showToast('Erro ao guardar modelo', 'error');
+    }
+}
+
+window.editTemplate = openTemplateModal;
+
+window.deleteTemplate = async function (templateId) {
+    const confirm = await showConfirm('Eliminar este modelo? Os dias já organizados com ele não mudam.', {
+        confirmText: 'Eliminar',
+        confirmStyle: 'danger'
+    });
+
+    if (!confirm) return;
+
+    try {
+        await deleteDoc(doc(db, TEMPLATES_COLLECTION, templateId));
+        await loadTemplates();
+        showToast('Modelo eliminado', 'success');
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        showToast('Erro ao eliminar modelo', 'error');
+    }
+};
+
 // ==========================================
 // Date Assignment
 // ==========================================
@@ -656,25 +1286,27 @@ function initDateAssignmentCalendar() {
         minDate: 'today',
         onDayCreate: (dObj, dStr, fp, dayElem) => {
             const dateStr = formatLocalDate(dayElem.dateObj);
-            const assignment = dateAssignments[dateStr];
-            const pharmacyId = document.getElementById('assignPharmacySelect')?.value;
-            const blockedByAssignment = isDateBlockedForPharmacy(dateStr, pharmacyId);
+            const assignments = getDateAssignmentList(dateStr);
 
             // Reset any stale classes/attrs from previous renders
-            dayElem.classList.remove('date-blocked', 'date-locked', 'date-locked-full', 'date-locked-other');
+            dayElem.classList.remove('date-blocked', 'date-multi', 'date-locked', 'date-locked-full');
             dayElem.removeAttribute('data-pharmacy');
             dayElem.removeAttribute('title');
-            dayElem.removeAttribute('aria-disabled');
             dayElem.style.removeProperty('--pharmacy-color');
+            dayElem.style.removeProperty('--pharmacy-color-2');
 
-            if (assignment) {
+            if (assignments.length > 0) {
                 dayElem.classList.add('date-blocked');
-                dayElem.setAttribute('data-pharmacy', assignment.pharmacyName);
-                dayElem.removeAttribute('title');
+                dayElem.setAttribute('data-pharmacy', assignments.map(a => a.pharmacyName).join(', '));
 
-                const bookingInfo = bookingsByDate[dateStr] || { total: MAX_BOOKABLE_SLOTS, booked: 0 };
-                const tooltipHtml = `Atribuído: <strong>${assignment.pharmacyName}</strong><br/>` +
-                    `Reservas: <strong>${bookingInfo.booked}/${bookingInfo.total || '0'}</strong>`;
+                const tooltipHtml = assignments.map(assignment => {
+                    const info = getAssignmentBookingInfo(assignment);
+                    const experts = getAssignmentExperts(assignment);
+                    const expertNames = experts.map(e => e.name).filter(Boolean).join(', ');
+                    const expertLabel = expertNames || `${experts.length} especialista(s)`;
+                    return `Atribuído: <strong>${escapeHtml(assignment.pharmacyName)}</strong> (${escapeHtml(expertLabel)})<br/>` +
+                        `Reservas: <strong>${info.booked}/${info.total || '0'}</strong>`;
+                }).join('<br/>');
 
                 dayElem.addEventListener('mouseenter', (e) => {
                     showTooltip(e, tooltipHtml);
@@ -682,32 +1314,24 @@ function initDateAssignmentCalendar() {
                 dayElem.addEventListener('mouseleave', () => hideTooltip());
                 dayElem.addEventListener('mousemove', (e) => updateTooltipPosition(e));
 
-                dayElem.style.setProperty('--pharmacy-color', getPharmacyColor(assignment.pharmacyId));
-            }
-
-            // Prevent interaction when the date is assigned to another pharmacy
-            if (blockedByAssignment) {
-                disableDayElement(dayElem, assignment ? `Atribuído a ${assignment.pharmacyName}` : 'Data atribuída');
+                dayElem.style.setProperty('--pharmacy-color', getPharmacyColor(assignments[0].pharmacyId));
+                if (assignments.length > 1) {
+                    dayElem.classList.add('date-multi');
+                    dayElem.style.setProperty('--pharmacy-color-2', getPharmacyColor(assignments[1].pharmacyId));
+                }
             }
 
             // Only show locked styling when the date is assigned AND has bookings
-            if (lockedDates.has(dateStr) && assignment) {
-                const info = bookingsByDate[dateStr] || { total: MAX_BOOKABLE_SLOTS, booked: 0 };
+            if (lockedDates.has(dateStr) && assignments.length > 0) {
+                const info = getBookingInfo(dateStr);
                 const isFullyBooked = info.total > 0 && info.booked >= info.total;
 
                 dayElem.classList.add(isFullyBooked ? 'date-locked-full' : 'date-locked');
-
-                // ONLY prevent interaction if assigned to ANOTHER pharmacy
-                if (assignment.pharmacyId !== pharmacyId) {
-                    dayElem.classList.add('date-locked-other');
-                    dayElem.setAttribute('title', 'Bloqueada por outra farmácia');
-                } else {
-                    dayElem.setAttribute('title', isFullyBooked ? 'Dia totalmente reservado' : 'Esta data tem marcações');
-                }
+                dayElem.setAttribute('title', isFullyBooked ? 'Dia totalmente reservado' : 'Esta data tem marcações');
             }
         },
         onChange: () => {
-            filterSelectedDatesForPharmacy();
+            prefillAssignExperts();
             updateSelectedDatesList();
             updateAssignButton();
         }
@@ -724,20 +1348,19 @@ function getPharmacyColor(pharmacyId) {
     return colors[Math.abs(hash) % colors.length];
 }
 
-function isDateBlockedForPharmacy(dateStr, pharmacyId) {
-    const assignment = dateAssignments[dateStr];
+/**
+ * All pharmacy assignments on a date
+ */
+function getDateAssignmentList(dateStr) {
+    return dateAssignments[dateStr] || [];
+}
 
-    // If the date is assigned to a different pharmacy (or no pharmacy is selected), it is blocked
-    if (!assignment) return false;
-    if (!pharmacyId) return true;
-    return assignment.pharmacyId !== pharmacyId;
+function findAssignment(dateStr, pharmacyId) {
+    return getDateAssignmentList(dateStr).find(a => a.pharmacyId === pharmacyId) || null;
 }
 
-function disableDayElement(dayElem, titleText = '') {
-    dayElem.classList.add('flatpickr-disabled', 'date-locked-other');
-    dayElem.setAttribute('aria-disabled', 'true');
-    if (titleText) dayElem.setAttribute('title', titleText);
-    dayElem.addEventListener('click', (e) => e.preventDefault());
+function findAssignmentById(assignmentId) {
+    return Object.values(dateAssignments).flat().find(a => a.id === assignmentId) || null;
 }
 
 function formatLocalDate(date) {
@@ -781,35 +1404,54 @@ function clearSelectedDates() {
     updateAssignButton();
 }
 
-function filterSelectedDatesForPharmacy() {
-    if (!dateAssignmentCalendar) return;
+/**
+ * Active directory experts as checkboxes for the assignment form
+ */
+function renderAssignExpertsList() {
+    const list = document.getElementById('assignExpertsList');
+    if (!list) return;
+
+    const checked = new Set(getCheckedAssignExperts());
+    const activeExperts = experts.filter(e => e.active);
 
-    const pharmacyId = document.getElementById('assignPharmacySelect')?.value;
-    const selected = dateAssignmentCalendar.selectedDates || [];
+    if (activeExperts.length === 0) {
+        list.innerHTML = '<span class="selected-dates-empty">Nenhum especialista ativo</span>';
+        return;
+    }
 
-    if (selected.length === 0) return;
+    list.innerHTML = activeExperts.map(expert => `
+        <label class="assign-expert-option">
+            <input type="checkbox" value="${expert.id}" ${checked.has(expert.id) ? 'checked' : ''}>
+            <img class="expert-photo" src="${escapeHtml(expert.photoUrl || DEFAULT_EXPERT_PHOTO)}" alt="">
+            <span>${escapeHtml(expert.name)}</span>
+        </label>
+    `).join('');
+}
 
-    const allowed = [];
-    let blockedCount = 0;
+function getCheckedAssignExperts() {
+    return Array.from(document.querySelectorAll('#assignExpertsList input:checked')).map(input => input.value);
+}
 
-    selected.forEach(d => {
-        const ds = formatLocalDate(d);
+function setCheckedAssignExperts(expertIds) {
+    document.querySelectorAll('#assignExpertsList input[type="checkbox"]').forEach(input => {
+        input.checked = expertIds.includes(input.value);
+    });
+}
 
-        if (isDateBlockedForPharmacy(ds, pharmacyId)) {
-            blockedCount++;
-            return;
-        }
+/**
+ * Tick the pharmacy's current experts when all selected dates agree
+ */
+function prefillAssignExperts() {
+    const pharmacyId = document.getElementById('assignPharmacySelect')?.value;
+    const dates = (dateAssignmentCalendar?.selectedDates || []).map(formatLocalDate);
+    if (!pharmacyId || dates.length === 0) return;
 
-        allowed.push(d);
+    const picks = dates.map(dateStr => {
+        const assignment = findAssignment(dateStr, pharmacyId);
+        return assignment ? getAssignmentExperts(assignment).map(e => e.expertId).filter(Boolean) : [];
     });
 
-    if (blockedCount > 0) {
-        dateAssignmentCalendar.clear();
-        if (allowed.length > 0) {
-            dateAssignmentCalendar.setDate(allowed, true);
-        }
-        showToast(`${blockedCount} data(s) já atribuída(s) a outra farmácia`, 'warning');
-    }
+    if (picks.every(p => p.join() === picks[0].join())) setCheckedAssignExperts(picks[0]);
 }
 
 async function loadDateAssignments() {
@@ -817,15 +1459,19 @@ async function loadDateAssignments() {
         const assignmentsRef = collection(db, 'dateAssignments');
         const snapshot = await getDocs(assignmentsRef);
 
+        // Several pharmacies can share a date - keep a list per date
         dateAssignments = {};
         snapshot.docs.forEach(doc => {
-            dateAssignments[doc.id] = doc.data();
+            const data = { id: doc.id, ...doc.data() };
+            const dateStr = data.date || doc.id;
+            if (!dateAssignments[dateStr]) dateAssignments[dateStr] = [];
+            dateAssignments[dateStr].push(data);
         });
 
         await reconcileAssignmentNames();
+        computeBookingTotals();
         renderAssignedDatesGrid();
         dateAssignmentCalendar?.redraw();
-        filterSelectedDatesForPharmacy();
     } catch (error) {
         console.error('Error loading date assignments:', error);
     }
@@ -833,12 +1479,19 @@ async function loadDateAssignments() {
 
 async function reconcileAssignmentNames() {
     const updates = [];
-    Object.entries(dateAssignments).forEach(([date, data]) => {
+    Object.values(dateAssignments).flat().forEach(data => {
         const pharmacy = pharmaciesById[data.pharmacyId];
         if (pharmacy && pharmacy.name && data.pharmacyName !== pharmacy.name) {
-            const updated = { ...data, pharmacyName: pharmacy.name };
-            dateAssignments[date] = updated;
-            updates.push(setDoc(doc(db, 'dateAssignments', date), updated, { merge: true }));
+            data.pharmacyName = pharmacy.name;
+            updates.push(setDoc(doc(db, 'dateAssignments', data.id), { pharmacyName: pharmacy.name }, { merge: true }));
+        }
+
+        // Expert names are denormalized too - follow renames in the directory
+        if (!Array.isArray(data.experts)) return;
+        const renamed = data.experts.some(e => expertsById[e.expertId] && expertsById[e.expertId].name !== e.name);
+        if (renamed) {
+            data.experts = data.experts.map(e => expertsById[e.expertId] ? { ...e, name: expertsById[e.expertId].name } : e);
+            updates.push(setDoc(doc(db, 'dateAssignments', data.id), { experts: data.experts }, { merge: true }));
         }
     });
 
@@ -850,7 +1503,7 @@ async function reconcileAssignmentNames() {
 function renderAssignedDatesGrid() {
     const grid = document.getElementById('assignedDatesGrid');
     const empty = document.getElementById('assignedDatesEmpty');
-    const entries = Object.entries(dateAssignments);
+    const entries = Object.values(dateAssignments).flat();
 
     if (!grid) return;
 
@@ -863,23 +1516,28 @@ function renderAssignedDatesGrid() {
     empty?.classList.add('hidden');
 
     const byPharmacy = {};
-    entries.forEach(([date, data]) => {
+    entries.forEach(data => {
         if (!byPharmacy[data.pharmacyId]) {
-            byPharmacy[data.pharmacyId] = { name: data.pharmacyName, dates: [] };
+            byPharmacy[data.pharmacyId] = { name: data.pharmacyName, assignments: [] };
         }
-        byPharmacy[data.pharmacyId].dates.push(date);
+        byPharmacy[data.pharmacyId].assignments.push(data);
     });
 
     grid.innerHTML = Object.entries(byPharmacy).map(([id, data]) => `
         <div class="assigned-pharmacy-card">
-            <h4>${data.name}</h4>
+            <h4>${escapeHtml(data.name)}</h4>
             <div class="assigned-dates-list">
-                ${data.dates.sort().map(d => `
-                    <span class="assigned-date-tag">
-                        ${d}
-                        <button class="remove-date-btn" onclick="removeAssignment('${d}')" title="Remover">×</button>
+                ${data.assignments.sort((a, b) => a.date.localeCompare(b.date)).map(a => {
+                    const experts = getAssignmentExperts(a);
+                    const expertNames = experts.map(e => e.name).filter(Boolean).join(', ');
+                    const expertCount = experts.length > 1 ? `<small>×${experts.length}</small>` : '';
+                    return `
+                    <span class="assigned-date-tag" title="${escapeHtml(expertNames)}">
+                        ${a.date} ${expertCount}
+                        <button class="remove-date-btn" onclick="removeAssignment('${a.id}')" title="Remover">×</button>
                     </span>
-                `).join('')}
+                `;
+                }).join('')}
             </div>
         </div>
     `).join('');
@@ -887,6 +1545,10 @@ function renderAssignedDatesGrid() {
 
 async function assignDates() {
     const pharmacyId = document.getElementById('assignPharmacySelect').value;
+    const picked = getCheckedAssignExperts()
+        .map(id => expertsById[id])
+        .filter(Boolean)
+        .map(expert => ({ id: expert.id, name: expert.name }));
     const dates = dateAssignmentCalendar?.selectedDates || [];
 
     if (!pharmacyId || dates.length === 0) return;
@@ -894,36 +1556,88 @@ async function assignDates() {
     const pharmacy = pharmacies.find(p => p.id === pharmacyId);
     if (!pharmacy) return;
 
+    // Work out each date's expert list before writing anything
+    const plans = [];
+    const conflicts = [];
+    let droppedBookings = 0;
+
+    dates.forEach(date => {
+        const dateStr = formatLocalDate(date);
+        const existing = findAssignment(dateStr, pharmacyId);
+        const currentExperts = existing ? getAssignmentExperts(existing) : [];
+        const experts = buildAssignmentExperts(picked, currentExperts);
+
+        // An expert can only work at one pharmacy per day
+        const busyElsewhere = getDateAssignmentList(dateStr)
+            .filter(a => a.pharmacyId !== pharmacyId)
+            .flatMap(a => getAssignmentExperts(a).map(e => e.expertId))
+            .filter(Boolean);
+        const conflict = experts.find(e => e.expertId && busyElsewhere.includes(e.expertId));
+        if (conflict) {
+            conflicts.push(`${dateStr} (${conflict.name})`);
+            return;
+        }
+
+        // Experts taken off a day lose access to their bookings
+        if (existing) {
+            currentExperts.forEach((expert, index) => {
+                if (experts.some(e => e.id === expert.id)) return;
+                droppedBookings += scheduleTotals[getAssignmentScheduleId(existing, index)]?.booked || 0;
+            });
+        }
+
+        plans.push({ dateStr, existing, experts });
+    });
+
+    if (conflicts.length > 0) {
+        showToast(`Especialista já atribuído a outra farmácia: ${conflicts.join(', ')}`, 'warning', 5000);
+    }
+    if (plans.length === 0) return;
+
+    if (droppedBookings > 0) {
+        const confirm = await showConfirm(
+            `${droppedBookings} marcação(ões) pertencem a especialistas que vão ser retirados. Continuar?`,
+            { confirmText: 'Continuar', confirmStyle: 'danger' }
+        );
+        if (!confirm) return;
+    }
+
     try {
-        for (const date of dates) {
-            const dateStr = formatLocalDate(date);
-            await setDoc(doc(db, 'dateAssignments', dateStr), {
+        for (const { dateStr, existing, experts } of plans) {
+            // Legacy (date-keyed) assignments are updated in place to keep their schedule
+            const assignmentId = existing?.id || getAssignmentDocId(dateStr, pharmacyId);
+            await setDoc(doc(db, 'dateAssignments', assignmentId), {
                 pharmacyId,
                 pharmacyName: pharmacy.name,
                 date: dateStr,
+                experts,
                 assignedAt: new Date().toISOString()
             });
         }
 
         dateAssignmentCalendar?.clear();
         document.getElementById('assignPharmacySelect').selectedIndex = 0;
+        setCheckedAssignExperts([]);
         updateSelectedDatesList();
         updateAssignButton();
 
         await loadDateAssignments();
-        showToast(`${dates.length} data(s) atribuída(s) a ${pharmacy.name}`, 'success');
+        showToast(`${plans.length} data(s) atribuída(s) a ${pharmacy.name}`, 'success');
     } catch (error) {
         console.error('Error assigning dates:', error);
         showToast('Erro ao atribuir datas', 'error');
     }
 }
 
-window.removeAssignment = async function (dateStr) {
-    const bookingInfo = bookingsByDate[dateStr];
-    const hasBookings = bookingInfo && bookingInfo.booked > 0;
+window.removeAssignment = async function (assignmentId) {
+    const assignment = findAssignmentById(assignmentId);
+    if (!assignment) return;
+
+    const bookingInfo = getAssignmentBookingInfo(assignment);
+    const hasBookings = bookingInfo.booked > 0;
     const confirmMessage = hasBookings
-        ? `Esta data já tem marcações. Tem a certeza que quer remover a atribuição de ${dateStr}?`
-        : `Remover atribuição de ${dateStr}?`;
+        ? `Esta data já tem marcações. Tem a certeza que quer remover a atribuição de ${assignment.date} (${assignment.pharmacyName})?`
+        : `Remover atribuição de ${assignment.date} (${assignment.pharmacyName})?`;
 
     const confirm = await showConfirm(
         confirmMessage,
@@ -933,7 +1647,7 @@ window.removeAssignment = async function (dateStr) {
     if (!confirm) return;
 
     try {
-        await deleteDoc(doc(db, 'dateAssignments', dateStr));
+        await deleteDoc(doc(db, 'dateAssignments', assignmentId));
         await loadDateAssignments();
         showToast('Atribuição removida', 'success');
     } catch (error) {
@@ -952,65 +1666,108 @@ async function loadReservations() {
         const snapshot = await getDocs(schedulesRef);
 
         reservations = [];
+        dayReports = [];
         lockedDates.clear();
-        bookingsByDate = {}; // map date -> { total, booked }
+        scheduleTotals = {};
 
         snapshot.docs.forEach(docSnap => {
-            const dateStr = docSnap.id;
-            const data = docSnap.data();
+            const scheduleId = docSnap.id;
+            const storedData = docSnap.data();
+            const dateStr = storedData.date || (isLegacyDocId(scheduleId) ? scheduleId : null);
+            if (!dateStr) return;
+
+            // Legacy schedules carry no keys - they belong to the date-keyed assignment
+            const dayAssignments = getDateAssignmentList(dateStr);
+            const fallbackAssignment = dayAssignments.find(a => a.id === dateStr) || dayAssignments[0] || null;
+
             let dayHasBookings = false;
             let bookedCount = 0;
-            let totalCount = MAX_BOOKABLE_SLOTS;
+            let totalCount = 0;
             let timeByBlockId = {};
 
-            const hasAppointments = data.appointments && Object.keys(data.appointments).length > 0;
-
-            if (hasAppointments) {
-                try {
-                    const reflowed = reflow(data);
-                    timeByBlockId = reflowed.appointments.reduce((acc, apt) => {
-                        acc[apt.id] = apt.start;
-                        return acc;
-                    }, {});
-                } catch (error) {
-                    timeByBlockId = {};
-                }
+            // Lay the day out with the pharmacy's current hours and durations, in the current
+            // schema - old documents get the same block IDs the tablets give them
+            const schedulePharmacyId = storedData.pharmacyId || fallbackAssignment?.pharmacyId;
+            const profile = resolveScheduleProfile(pharmaciesById[schedulePharmacyId], dateStr);
+            const data = { ...migrateSchedule(storedData, profile).schedule, profile };
+
+            try {
+                const reflowed = reflow(data);
+                totalCount = reflowed.slots.length + reflowed.appointments.length;
+                timeByBlockId = reflowed.appointments.reduce((acc, apt) => {
+                    acc[apt.id] = apt.start;
+                    return acc;
+                }, {});
+            } catch (error) {
+                totalCount = getDefaultBookableSlots(dateStr, schedulePharmacyId);
+                timeByBlockId = {};
             }
 
+            /**
+             * @param {string|null} blockId - Slot the booking holds; null once cancelled with its slot freed
+             */
+            const addReservation = (id, blockId, apt, timeSlot) => {
+                const normalized = normalizeAppointment(apt, blockId);
+                if (!normalized) return;
+
+                let pharmacyId = apt.pharmacyId || data.pharmacyId || null;
+                let pharmacyName = apt.pharmacyName || data.pharmacyName || null;
+
+                if (!pharmacyName && fallbackAssignment) {
+                    pharmacyId = fallbackAssignment.pharmacyId;
+                    pharmacyName = fallbackAssignment.pharmacyName;
+                }
+
+                reservations.push({
+                    id: `${scheduleId}_${id}`,
+                    scheduleId,
+                    blockId,
+                    date: dateStr,
+                    timeSlot,
+                    pharmacyId: pharmacyId || 'unknown',
+                    pharmacyName: pharmacyName || 'Sem farmácia',
+                    expertName: data.expertName || '',
+                    clientName: normalized.name,
+                    clientContact: normalized.contact,
+                    status: normalized.status,
+                    cancellation: normalized.cancellation,
+                    ...normalized.statusTimes
+                });
+            };
+
             if (data.appointments) {
                 Object.entries(data.appointments).forEach(([blockId, apt]) => {
-                    const normalized = normalizeAppointment(apt, blockId);
-                    if (!normalized) return;
+                    if (!normalizeAppointment(apt, blockId)) return;
                     dayHasBookings = true;
                     bookedCount += 1;
+                    addReservation(blockId, blockId, apt, timeByBlockId[blockId] || apt.time || blockId);
+                });
+            }
 
-                    let pharmacyId = apt.pharmacyId || data.pharmacyId || null;
-                    let pharmacyName = apt.pharmacyName || data.pharmacyName || null;
-
-                    if (!pharmacyName && dateAssignments[dateStr]) {
-                        pharmacyId = dateAssignments[dateStr].pharmacyId;
-                        pharmacyName = dateAssignments[dateStr].pharmacyName;
-                    }
-
-                    reservations.push({
-                        id: `${dateStr}_${blockId}`,
-                        date: dateStr,
-                        timeSlot: timeByBlockId[blockId] || apt.time || blockId,
-                        pharmacyId: pharmacyId || 'unknown',
-                        pharmacyName: pharmacyName || 'Sem farmácia',
-                        clientName: normalized.name,
-                        clientContact: normalized.contact,
-                        status: normalized.status
-                    });
+            getCancelledAppointments(data).forEach(entry => {
+                addReservation(`cancelled_${entry.id}`, null, entry, entry.time || '-');
+            });
+
+            if (isDayClosed(data)) {
+                dayReports.push({
+                    scheduleId,
+                    date: dateStr,
+                    pharmacyId: data.pharmacyId || fallbackAssignment?.pharmacyId || 'unknown',
+                    pharmacyName: data.pharmacyName || fallbackAssignment?.pharmacyName || 'Sem farmácia',
+                    expertName: data.expertName || '',
+                    ...data.closure
                 });
             }
 
-            bookingsByDate[dateStr] = { total: totalCount, booked: bookedCount };
+            scheduleTotals[scheduleId] = { date: dateStr, total: totalCount, booked: bookedCount };
             if (dayHasBookings) lockedDates.add(dateStr);
         });
 
+        computeBookingTotals();
         reservations.sort((a, b) => b.date.localeCompare(a.date));
+        dayReports.sort((a, b) => b.date.localeCompare(a.date));
         renderReservationsTable();
+        renderDayReports();
         setupReservationFilters();
         dateAssignmentCalendar?.redraw();
         renderMonthlySummary();
@@ -1019,6 +1776,43 @@ async function loadReservations() {
     }
 }
 
+/**
+ * Booked/total slots of one pharmacy's day, across its experts
+ * Experts without a saved schedule count as an empty default day
+ */
+function getAssignmentBookingInfo(assignment) {
+    return getAssignmentExperts(assignment).reduce((info, expert, index) => {
+        const scheduleInfo = scheduleTotals[getAssignmentScheduleId(assignment, index)]
+            || { total: getDefaultBookableSlots(assignment.date, assignment.pharmacyId), booked: 0 };
+        return { total: info.total + scheduleInfo.total, booked: info.booked + scheduleInfo.booked };
+    }, { total: 0, booked: 0 });
+}
+
+/**
+ * Roll schedule totals up per date (all pharmacies and experts)
+ */
+function computeBookingTotals() {
+    bookingsByDate = {};
+    const countedSchedules = new Set();
+
+    const addToDate = (dateStr, info) => {
+        const entry = bookingsByDate[dateStr] || { total: 0, booked: 0 };
+        bookingsByDate[dateStr] = { total: entry.total + info.total, booked: entry.booked + info.booked };
+    };
+
+    Object.values(dateAssignments).flat().forEach(assignment => {
+        getAssignmentExperts(assignment).forEach((expert, index) => {
+            countedSchedules.add(getAssignmentScheduleId(assignment, index));
+        });
+        addToDate(assignment.date, getAssignmentBookingInfo(assignment));
+    });
+
+    // Schedules on unassigned days still count
+    Object.entries(scheduleTotals).forEach(([scheduleId, info]) => {
+        if (!countedSchedules.has(scheduleId)) addToDate(info.date, info);
+    });
+}
+
 function initMonthlySummary() {
     const input = document.getElementById('monthlySummaryMonth');
     if (!input) return;
@@ -1050,7 +1844,8 @@ function renderMonthlySummary() {
     const monthReservations = reservations.filter(r => r.date && r.date.startsWith(monthKey));
     const summaryMap = new Map();
 
-    const activeReservations = monthReservations.filter(r => r.status !== 'cancelled');
+    // Sessions that happened or may still happen - cancellations and no-shows don't count
+    const activeReservations = monthReservations.filter(r => r.status !== 'cancelled' && r.status !== 'no-show');
 
     activeReservations.forEach(r => {
         const pharmacyId = r.pharmacyId || 'unknown';
@@ -1067,6 +1862,14 @@ function renderMonthlySummary() {
 
     totalEl.textContent = String(activeReservations.length);
 
+    // Past bookings still waiting for their day to be closed
+    const unresolvedEl = document.getElementById('monthlySummaryUnresolved');
+    if (unresolvedEl) {
+        const todayStr = formatLocalDate(new Date());
+        unresolvedEl.textContent = String(activeReservations
+            .filter(r => r.date < todayStr && r.status !== 'completed').length);
+    }
+
     if (summaryList.length === 0) {
         grid.innerHTML = '';
         empty?.classList.remove('hidden');
@@ -1095,19 +1898,63 @@ function setupReservationFilters() {
 
 function filterAndRenderReservations() {
     renderReservationsTable(getFilteredReservations());
+    renderDayReports();
 }
 
-function getFilteredReservations() {
+/**
+ * Reservations (or day reports) matching the pharmacy and date filters
+ */
+function getFilteredReservations(list = reservations) {
     const pharmacyFilter = document.getElementById('filterPharmacy')?.value || '';
     const dateFilter = document.getElementById('filterDate')?.value || '';
 
-    let filtered = [...reservations];
+    let filtered = [...list];
     if (pharmacyFilter) filtered = filtered.filter(r => r.pharmacyId === pharmacyFilter);
     if (dateFilter) filtered = filtered.filter(r => r.date === dateFilter);
 
     return filtered;
 }
 
+/**
+ * Reports of closed days, with the outcome of that schedule's bookings
+ */
+function renderDayReports() {
+    const list = document.getElementById('dayReportsList');
+    const empty = document.getElementById('dayReportsEmpty');
+    if (!list) return;
+
+    const reports = getFilteredReservations(dayReports);
+    empty?.classList.toggle('hidden', reports.length > 0);
+
+    list.innerHTML = reports.map(report => {
+        const dayReservations = reservations.filter(r => r.scheduleId === report.scheduleId);
+        const countStatus = status => dayReservations.filter(r => r.status === status).length;
+
+        return `
+        <div class="day-report">
+            <div class="day-report__header">
+                <strong>${report.date}</strong>
+                <span class="pharmacy-indicator" style="--pharmacy-color: ${getPharmacyColor(report.pharmacyId)}">
+                    ${escapeHtml(report.pharmacyName)}
+                </span>
+                ${report.expertName ? `<small>${escapeHtml(report.expertName)}</small>` : ''}
+            </div>
+            <div class="day-report__meta">
+                Fechado às ${formatStatusTime(report.closedAt)}${report.closedBy?.name ? ` por ${escapeHtml(report.closedBy.name)}` : ''}
+                · ${countStatus('completed')} concluídas · ${countStatus('no-show')} faltas · ${countStatus('cancelled')} canceladas
+            </div>
+            <div class="day-report__field">
+                <span class="day-report__label">Produtos recomendados</span>
+                <p>${escapeHtml(report.products || '-')}</p>
+            </div>
+            <div class="day-report__field">
+                <span class="day-report__label">Notas para a farmácia</span>
+                <p>${escapeHtml(report.remarks || '-')}</p>
+            </div>
+        </div>`;
+    }).join('');
+}
+
 function renderReservationsTable(listToRender = reservations) {
     const tbody = document.getElementById('reservationsTableBody');
     const empty = document.getElementById('reservationsEmpty');
@@ -1128,20 +1975,24 @@ function renderReservationsTable(listToRender = reservations) {
             <td>${r.timeSlot}</td>
             <td>
                 <span class="pharmacy-indicator" style="--pharmacy-color: ${getPharmacyColor(r.pharmacyId)}">
-                    ${r.pharmacyName}
+                    ${escapeHtml(r.pharmacyName)}
                 </span>
+                ${r.expertName ? `<br><small>${escapeHtml(r.expertName)}</small>` : ''}
             </td>
-            <td><strong>${r.clientName}</strong><br><small>${r.clientContact}</small></td>
+            <td><strong>${escapeHtml(r.clientName)}</strong><br><small>${escapeHtml(r.clientContact)}</small></td>
             <td>
                 <span class="admin-badge admin-badge--${getStatusClass(r.status)}">
                     ${getStatusLabel(r.status)}
                 </span>
+                ${r.cancellation ? `<br><small>${escapeHtml(describeCancellation(r.cancellation))}</small>` : ''}
             </td>
+            <td><small>${describeStatusTimes(r) || '-'}</small></td>
             <td>
                 <div class="admin-actions">
+                    ${r.blockId && r.status !== 'cancelled' ? `
                     <button class="admin-action-btn admin-action-btn--danger" onclick="cancelReservation('${r.id}')" title="Cancelar">
                         <span class="material-symbols-outlined">cancel</span>
-                    </button>
+                    </button>` : ''}
                 </div>
             </td>
         </tr>
@@ -1150,7 +2001,7 @@ function renderReservationsTable(listToRender = reservations) {
 
 function exportReservationsCsv() {
     const rows = getFilteredReservations();
-    const headers = ['Data', 'Hora', 'Farmacia', 'Cliente', 'Contacto', 'Estado'];
+    const headers = ['Data', 'Hora', 'Farmacia', 'Especialista', 'Cliente', 'Contacto', 'Estado', 'Motivo', 'Check-in', 'Inicio', 'Fim', 'Falta'];
 
     const csvLines = [headers.join(',')];
 
@@ -1159,9 +2010,12 @@ function exportReservationsCsv() {
             formatCsvDate(r.date),
             formatCsvTime(r.timeSlot),
             r.pharmacyName || '',
+            r.expertName || '',
             r.clientName || '',
             r.clientContact || '',
-            getStatusLabel(r.status || '')
+            getStatusLabel(r.status || ''),
+            r.cancellation ? describeCancellation(r.cancellation) : '',
+            ...Object.values(STATUS_TIMESTAMPS).map(field => formatStatusTime(r[field]))
         ].map(csvEscape).join(',');
         csvLines.push(row);
     });
@@ -1207,15 +2061,51 @@ function formatCsvTime(timeStr) {
 }
 
 function getStatusClass(status) {
-    const classes = { 'scheduled': 'info', 'checked-in': 'success', 'completed': 'purple', 'no-show': 'danger', 'cancelled': 'muted' };
+    const classes = { 'scheduled': 'info', 'checked-in': 'success', 'in-progress': 'warning', 'completed': 'purple', 'no-show': 'danger', 'cancelled': 'muted' };
     return classes[status] || 'muted';
 }
 
 function getStatusLabel(status) {
-    const labels = { 'scheduled': 'Agendada', 'checked-in': 'Check-in', 'completed': 'Concluída', 'no-show': 'Faltou', 'cancelled': 'Cancelada' };
+    const labels = { 'scheduled': 'Agendada', 'checked-in': 'Check-in', 'in-progress': 'Em curso', 'completed': 'Concluída', 'no-show': 'Faltou', 'cancelled': 'Cancelada' };
     return labels[status] || status;
 }
 
+const STATUS_TIME_LABELS = { checkedInAt: 'Check-in', startedAt: 'Início', completedAt: 'Fim', noShowAt: 'Falta' };
+
+/**
+ * Local "HH:MM" of a status timestamp, or '' when it was never recorded
+ */
+function formatStatusTime(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? '' : minutesToTime(date.getHours() * 60 + date.getMinutes());
+}
+
+function describeStatusTimes(reservation) {
+    return Object.values(STATUS_TIMESTAMPS)
+        .filter(field => formatStatusTime(reservation[field]))
+        .map(field => `${STATUS_TIME_LABELS[field]} ${formatStatusTime(reservation[field])}`)
+        .join('<br>');
+}
+
+const CANCELLATION_REASON_LABELS = {
+    client: 'Pedido do cliente',
+    pharmacy: 'Pedido da farmácia',
+    expertAbsent: 'Especialista ausente',
+    weather: 'Condições meteorológicas'
+};
+
+/**
+ * Reason, who and when, e.g. "Pedido do cliente · Farmácia Central · 10:42"
+ */
+function describeCancellation(cancellation) {
+    return [
+        CANCELLATION_REASON_LABELS[cancellation.reason] || 'Cancelada',
+        cancellation.by?.name,
+        formatStatusTime(cancellation.at)
+    ].filter(Boolean).join(' · ');
+}
+
 function normalizeAppointment(apt, blockId) {
     if (!apt || typeof apt !== 'object') return null;
 
@@ -1228,59 +2118,249 @@ function normalizeAppointment(apt, blockId) {
     const contact = String(apt.contact || '').trim();
     const notes = String(apt.notes || '').trim();
 
-    const allowedStatuses = new Set(['scheduled', 'checked-in', 'completed', 'no-show', 'cancelled']);
+    const allowedStatuses = new Set(['scheduled', 'checked-in', 'in-progress', 'completed', 'no-show', 'cancelled']);
     const status = allowedStatuses.has(apt.status) ? apt.status : 'scheduled';
 
+    const statusTimes = {};
+    Object.values(STATUS_TIMESTAMPS).forEach(field => {
+        if (typeof apt[field] === 'string') statusTimes[field] = apt[field];
+    });
+
     return {
         id: blockId,
         isBooked: true,
         name,
         contact,
         notes,
-        status
+        status,
+        statusTimes,
+        cancellation: status === 'cancelled' && apt.cancellation ? apt.cancellation : null
     };
 }
 
-window.cancelReservation = async function (reservationId) {
-    const confirm = await showConfirm(
-        'Tem certeza que deseja cancelar esta reserva? Esta ação não pode ser desfeita.',
-        { title: 'Cancelar Reserva', confirmText: 'Sim, Cancelar', confirmStyle: 'danger' }
-    );
+window.cancelReservation = function (reservationId) {
+    const reservation = reservations.find(r => r.id === reservationId);
+    if (!reservation?.blockId) return;
 
-    if (!confirm) return;
+    cancellingReservationId = reservationId;
+    const select = document.getElementById('cancelReservationReason');
+    if (select) {
+        select.innerHTML = CANCELLATION_REASONS
+            .map(reason => `<option value="${reason}">${CANCELLATION_REASON_LABELS[reason]}</option>`)
+            .join('');
+    }
+    document.getElementById('cancelReservationClient').textContent =
+        `${reservation.clientName} · ${reservation.date} ${reservation.timeSlot}`;
+    document.getElementById('cancelReservationKeepSlot').checked = false;
+    document.getElementById('cancelReservationModal')?.classList.remove('hidden');
+};
 
+function closeCancelReservationModal() {
+    cancellingReservationId = null;
+    document.getElementById('cancelReservationModal')?.classList.add('hidden');
+}
+
+/**
+ * Cancel the reservation open in the modal - recorded with its reason, never deleted
+ */
+async function confirmCancelReservation() {
+    const reservation = reservations.find(r => r.id === cancellingReservationId);
+    const reason = document.getElementById('cancelReservationReason')?.value;
+    const keepSlot = Boolean(document.getElementById('cancelReservationKeepSlot')?.checked);
+    if (!reservation || !CANCELLATION_REASONS.includes(reason)) return;
+
+    closeCancelReservationModal();
     showLoading('A cancelar reserva...');
 
     try {
-        const parts = reservationId.split('_');
-        if (parts.length < 2) throw new Error('ID inválido');
-
-        const dateStr = parts[0];
-        const blockId = parts.slice(1).join('_');
-
-        const scheduleRef = doc(db, 'schedules', dateStr);
-        const scheduleSnap = await getDoc(scheduleRef);
-
-        if (scheduleSnap.exists()) {
-            const data = scheduleSnap.data();
-            let appointments = data.appointments || {};
-            if (Array.isArray(appointments)) appointments = { ...appointments };
-
-            if (appointments[blockId]) {
-                delete appointments[blockId];
-                await updateDoc(scheduleRef, { appointments });
-                hideLoading();
-                showToast('Reserva cancelada', 'success');
-                await loadReservations();
-            }
-        }
+        const { scheduleId, blockId } = reservation;
+        const scheduleRef = doc(db, 'schedules', scheduleId);
+        const session = getSession();
+        const by = { role: 'admin', name: session?.name || session?.email || 'Admin' };
+
+        // Versioned like the tablets' writes, so a tablet editing the same day merges this in
+        const isCancelled = await runTransaction(db, async (transaction) => {
+            const scheduleSnap = await transaction.get(scheduleRef);
+            if (!scheduleSnap.exists()) return false;
+
+            const stored = scheduleSnap.data();
+            const profile = getStoredScheduleProfile(scheduleId, stored);
+            const cancelled = cancelAppointment({ ...migrateSchedule(stored, profile).schedule, profile }, blockId, { reason, by, keepSlot });
+            if (!cancelled) return false;
+
+            // The resolved profile was only for laying the day out
+            const written = { ...cancelled, version: (stored.version || 0) + 1 };
+            if (stored.profile) written.profile = stored.profile;
+            else delete written.profile;
+
+            transaction.set(scheduleRef, written);
+            return true;
+        });
+
+        hideLoading();
+        showToast(isCancelled ? 'Reserva cancelada' : 'A reserva já não existe ou já foi cancelada', isCancelled ? 'success' : 'warning');
+        await loadReservations();
     } catch (error) {
         console.error(error);
         hideLoading();
         showToast('Erro ao cancelar', 'error');
     }
+}
+
+// ==========================================
+// Schedule Migration
+// ==========================================
+
+const MIGRATION_LABELS = {
+    1: 'marcações por hora passam a blocos',
+    2: 'serviço, duração e estado nas marcações'
 };
 
+/**
+ * Profile a stored schedule is laid out with - the pharmacy's current one, as on the tablets
+ */
+function getStoredScheduleProfile(scheduleId, data) {
+    const dateStr = data.date || (isLegacyDocId(scheduleId) ? scheduleId : null);
+    const dayAssignments = dateStr ? getDateAssignmentList(dateStr) : [];
+    const fallbackAssignment = dayAssignments.find(a => a.id === dateStr) || dayAssignments[0] || null;
+    return resolveScheduleProfile(pharmaciesById[data.pharmacyId || fallbackAssignment?.pharmacyId], dateStr);
+}
+
+/**
+ * Dry run: which schedules a migration would change, and what happens to their bookings
+ * Nothing is written
+ */
+async function runMigrationDryRun() {
+    showLoading('A analisar agendas...');
+
+    try {
+        const snapshot = await getDocs(collection(db, 'schedules'));
+        migrationPlan = [];
+        migrationScanned = snapshot.size;
+
+        snapshot.docs.forEach(docSnap => {
+            const data = docSnap.data();
+            const profile = getStoredScheduleProfile(docSnap.id, data);
+            const result = migrateSchedule(data, profile);
+            if (!result.changed) return;
+
+            migrationPlan.push({
+                id: docSnap.id,
+                date: data.date || (isLegacyDocId(docSnap.id) ? docSnap.id : ''),
+                version: data.version || 0,
+                result,
+                bookingsBefore: countBookings(data),
+                bookingsAfter: countBookings(result.schedule),
+                toReschedule: reflow({ ...result.schedule, profile }).needsReschedule
+                    .map(apt => `${apt.formerStart || apt.time || '?'} ${apt.name || ''}`.trim())
+            });
+        });
+
+        migrationPlan.sort((a, b) => b.date.localeCompare(a.date));
+        renderMigrationPlan();
+    } catch (error) {
+        console.error('Error analysing schedules:', error);
+        showToast('Erro ao analisar agendas', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderMigrationPlan() {
+    const tbody = document.getElementById('migrationTableBody');
+    const empty = document.getElementById('migrationEmpty');
+    const summary = document.getElementById('migrationSummary');
+    const runBtn = document.getElementById('runMigrationBtn');
+
+    if (!tbody) return;
+
+    if (summary) {
+        summary.textContent = migrationScanned === null
+            ? `Versão atual: ${SCHEMA_VERSION}. Simule a migração para ver que agendas mudam antes de a executar.`
+            : `${migrationScanned} agenda(s) analisada(s), ${migrationPlan.length} por migrar para a versão ${SCHEMA_VERSION}.`;
+    }
+    if (runBtn) runBtn.disabled = migrationPlan.length === 0;
+
+    if (migrationPlan.length === 0) {
+        tbody.innerHTML = '';
+        empty?.classList.remove('hidden');
+        return;
+    }
+
+    empty?.classList.add('hidden');
+
+    tbody.innerHTML = migrationPlan.map(entry => {
+        const { fromVersion, toVersion, steps } = entry.result;
+        const changes = steps.map(version => MIGRATION_LABELS[version] || `versão ${version}`).join('; ') || 'só o número de versão';
+        const isLosing = entry.bookingsAfter < entry.bookingsBefore;
+
+        return `
+            <tr>
+                <td><code>${entry.id}</code></td>
+                <td>${entry.date || '-'}</td>
+                <td>v${fromVersion} → v${toVersion}</td>
+                <td>${changes}</td>
+                <td>
+                    <span class="admin-badge ${isLosing ? 'admin-badge--danger' : 'admin-badge--success'}">${entry.bookingsBefore} → ${entry.bookingsAfter}</span>
+                    ${entry.toReschedule.length > 0 ? `<span class="admin-badge admin-badge--info">${entry.toReschedule.length} a reagendar</span>
+                    <br><small>${entry.toReschedule.map(escapeHtml).join(', ')}</small>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Write the migrated documents found by the last dry run
+ * Each write is version-checked: a schedule saved since the dry run is skipped, not overwritten
+ */
+async function runMigration() {
+    if (migrationPlan.length === 0) return;
+
+    const confirm = await showConfirm(
+        `Migrar ${migrationPlan.length} agenda(s) para a versão ${SCHEMA_VERSION}? As agendas alteradas desde a simulação são ignoradas.`,
+        { title: 'Migrar Agendas', confirmText: 'Migrar' }
+    );
+
+    if (!confirm) return;
+
+    showLoading('A migrar agendas...');
+
+    let migrated = 0;
+    let skipped = 0;
+    try {
+        for (const entry of migrationPlan) {
+            const scheduleRef = doc(db, 'schedules', entry.id);
+
+            // Versioned like the tablets' writes, so a tablet editing the same day merges this in
+            const isWritten = await runTransaction(db, async (transaction) => {
+                const scheduleSnap = await transaction.get(scheduleRef);
+                if (!scheduleSnap.exists() || (scheduleSnap.data().version || 0) !== entry.version) return false;
+
+                transaction.set(scheduleRef, { ...entry.result.schedule, version: entry.version + 1 });
+                return true;
+            });
+
+            if (isWritten) migrated += 1;
+            else skipped += 1;
+        }
+
+        hideLoading();
+        showToast(
+            skipped > 0 ? `${migrated} agenda(s) migrada(s), ${skipped} alterada(s) entretanto - simule de novo` : `${migrated} agenda(s) migrada(s)`,
+            skipped > 0 ? 'warning' : 'success',
+            skipped > 0 ? 6000 : 3000
+        );
+    } catch (error) {
+        console.error('Error migrating schedules:', error);
+        hideLoading();
+        showToast(`Erro ao migrar (${migrated} agenda(s) já migrada(s))`, 'error');
+    }
+
+    await runMigrationDryRun();
+    await loadReservations();
+}
+
 // ==========================================
 // Custom Tooltip
 // ==========================================
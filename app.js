@@ -6,6 +6,9 @@
 import { initI18n, setLanguage, getLanguage, t, translatePage } from './i18n.js';
 import {
     createInitialState,
+    createDefaultSchedule,
+    resolveScheduleProfile,
+    getScheduleProfile,
     reflow,
     moveLunch,
     moveTechBreak,
@@ -17,10 +20,32 @@ import {
     generateId,
     durationToPx,
     moveAppointment,
+    swapAppointments,
+    transferAppointment,
+    getWaitlist,
+    addToWaitlist,
+    removeFromWaitlist,
+    bookFromWaitlist,
     moveBlock,
     findBlockIndex,
+    getLayout,
+    applyLayout,
+    getFixedStart,
+    checkScheduleRules,
     insertBlock,
+    resizeGap,
+    delayBlock,
     removeBlock,
+    recordAppointmentTimes,
+    getStatusTimestamps,
+    appendStatusHistory,
+    cancelAppointment,
+    getCancelledAppointments,
+    CANCELLATION_REASONS,
+    isDayClosed,
+    getUnresolvedAppointments,
+    closeDay,
+    CLOSING_STATUSES,
     pixelToBlockPosition,
     timeToMinutes,
     minutesToTime,
@@ -29,13 +54,44 @@ import {
     SLOT_DURATION,
     LUNCH_DURATION,
     TECH_BREAK_DURATION,
-    BLOCK_TYPES
+    SNAP_INCREMENT,
+    BLOCK_TYPES,
+    STATUS_TIMESTAMPS,
+    PX_PER_MINUTE,
+    getBlockDuration
 } from './scheduler.js';
-import { initDrag, makeDraggable, cancelDrag } from './drag.js';
+import { initDrag, makeDraggable, cancelDrag, startKeyboardGrab } from './drag.js';
+import { arrangeDay, findTechBreakPosition } from './optimizer.js';
+import { loadLayoutTemplates, TEMPLATES_COLLECTION } from './templates.js';
+import { migrateSchedule, SCHEMA_VERSION } from './migrations.js';
+import { setHistoryBaseline, recordEdit, undoEdit, redoEdit, canUndo, canRedo } from './history.js';
+import { SERVICES, getService, formatServicePrice } from './services.js';
 import { db } from './firebase-config.js';
-import { doc, getDoc, setDoc, updateDoc, deleteField, onSnapshot } from "https://www.gstatic.com/firebasejs/11.1.0/firebase-firestore.js";
+import { doc, getDoc, onSnapshot } from "https://www.gstatic.com/firebasejs/11.1.0/firebase-firestore.js";
 import { initLogin } from './login.js';
-import { getSession, isAdmin, getPharmacy, checkDateAssignment, getAssignedDates } from './auth.js';
+import { getSession, isAdmin, getPharmacy, checkDateAssignment, getAssignedDates, getDateAssignments } from './auth.js';
+import { getAssignmentDocId, getAssignmentExperts, getAssignmentScheduleId } from './schedules.js';
+import {
+    loadClients,
+    searchClients,
+    getClient,
+    findMatchingClient,
+    createClientId,
+    saveClient,
+    getClientAppointments
+} from './clients.js';
+import {
+    initOfflineSync,
+    onSyncStateChange,
+    queueWrite,
+    hasPendingWrite,
+    cacheDocument,
+    getCachedDocument,
+    updateDocumentsTogether
+} from './offline-store.js';
+import { showToast, showConfirm } from './notify.js';
+import { escapeHtml } from './utils.js';
+import { mergeSchedules, applyConflictChoices } from './schedule-merge.js';
 
 // ==========================================
 // Date Utilities
@@ -52,6 +108,25 @@ function formatLocalDate(date) {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Parse "YYYY-MM-DD" as local midnight (new Date(dateStr) would read it as UTC)
+ */
+function parseLocalDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Translated "Mon, 19 Oct 2026"
+ */
+function formatLongDate(dateStr) {
+    const date = parseLocalDate(dateStr);
+    return `${t(`weekdays.${WEEKDAY_KEYS[date.getDay()]}`)}, ${date.getDate()} ${t(`months.${MONTH_KEYS[date.getMonth()]}`)} ${date.getFullYear()}`;
+}
+
 // ==========================================
 // State Management
 // ==========================================
@@ -60,14 +135,22 @@ const THEME_KEY = 'skin-moments-theme';
 const PHARMACY_KEY = 'ssl_pharmacyName';
 const EXPERT_NAME_KEY = 'ssl_skinExpertName';
 const EXPERT_AVATAR_KEY = 'ssl_skinExpertAvatar';
-const DEFAULT_AVATAR = 'https://images.unsplash.com/photo-1580489944761-15a19d654956?w=100&h=100&fit=crop&crop=face';
+const DEFAULT_AVATAR = './assets/expert-avatar.svg';
+const FETCH_TIMEOUT = 3000; // ms before a server read falls back to the offline copy
+const NOW_REFRESH_INTERVAL = 60000; // ms between redraws of the current-time line
 
 let state = createInitialState();
 state.date = formatLocalDate(new Date());
+state.profile = getScheduleProfile(null); // Working hours/durations of the active column
+state.columns = []; // One column per Skin Expert working state.date
+state.activeColumnId = null; // Column the drawer, drag and break actions apply to
 
-let unsubscribeSnapshot = null;
+let pharmacyDocs = {}; // Pharmacy documents by ID (schedule profile and per-date overrides)
+let expertDocs = {}; // Skin Expert directory documents by ID (name and photo for the header)
+let unsubscribeSnapshots = [];
 let flatpickrInstance = null;
-let isSaving = false; // Lock flag to prevent onSnapshot from overwriting during save
+let isSaving = false; // Lock flag to prevent onSnapshot from overwriting until the save is queued
+let syncStatus = { state: 'synced', pending: 0 }; // Latest offline-store status, re-rendered on language change
 let availabilityCache = {};
 let assignedDatesCache = {}; // Cache for assigned dates per month
 
@@ -76,7 +159,11 @@ let assignedDatesCache = {}; // Cache for assigned dates per month
 // ==========================================
 
 const elements = {
+    schedule: null,
     scheduleBody: null,
+    scheduleContainer: null,
+    overview: null,
+    viewToggle: null,
     drawer: null,
     previewBar: null,
     mainContent: null,
@@ -84,9 +171,22 @@ const elements = {
     rescheduleList: null,
     themeToggle: null,
     themeIcon: null,
+    syncStatus: null,
+    timelineAnnouncer: null,
+    syncStatusIcon: null,
+    syncStatusLabel: null,
     langPT: null,
     langEN: null,
     addTechBreakBtn: null,
+    undoBtn: null,
+    redoBtn: null,
+    autoArrangeBtn: null,
+    layoutBtn: null,
+    layoutModal: null,
+    layoutModalClose: null,
+    layoutTemplateList: null,
+    layoutCopyDate: null,
+    layoutCopyBtn: null,
     printBtn: null,
     drawerClose: null,
     clearSlotBtn: null,
@@ -95,12 +195,59 @@ const elements = {
     previewApply: null,
     clientName: null,
     clientContact: null,
+    clientSuggestions: null,
+    clientLinked: null,
+    clientHistoryBtn: null,
+    clientModal: null,
+    clientModalName: null,
+    clientModalContact: null,
+    clientModalBody: null,
+    waitlistCount: null,
+    waitlistList: null,
+    waitlistForm: null,
+    waitlistName: null,
+    waitlistContact: null,
+    waitlistService: null,
+    moveDayBtn: null,
+    moveDayModal: null,
+    moveDayClient: null,
+    moveDayBody: null,
+    moveDayClose: null,
+    cancelAppointmentBtn: null,
+    cancelModal: null,
+    cancelModalClient: null,
+    cancelModalClose: null,
+    cancelReason: null,
+    cancelKeepSlot: null,
+    cancelConfirmBtn: null,
+    cancelledSection: null,
+    cancelledCount: null,
+    cancelledList: null,
+    statusHistory: null,
+    closeDayBtn: null,
+    closeDayModal: null,
+    closeDayModalClose: null,
+    closeDayExpert: null,
+    closeDayList: null,
+    closeDayProducts: null,
+    closeDayRemarks: null,
+    closeDayConfirmBtn: null,
+    drawerLockedHint: null,
+    conflictModal: null,
+    conflictModalDate: null,
+    conflictModalBody: null,
+    conflictModalApply: null,
+    clientModalClose: null,
     clientNotes: null,
+    clientFixedTime: null,
+    clientFixedTimeLabel: null,
     statusButtons: null,
+    statusTimes: null,
     datePicker: null,
     dateDisplay: null,
     currentDate: null,
     previewMessage: null,
+    scheduleSubtitle: null,
     pharmacyName: null,
     editPharmacyBtn: null,
     pharmacyEditMode: null,
@@ -158,12 +305,22 @@ function onLoginSuccess() {
 
     initDrag({
         onDragEnd: handleDragEnd,
-        onDragUpdate: handleDragUpdate
+        onDragUpdate: handleDragUpdate,
+        onDragCancel: handleDragCancel
     });
 
     setupEventListeners();
     renderSchedule();
+    setInterval(renderNowIndicator, NOW_REFRESH_INTERVAL);
+
+    onSyncStateChange(updateSyncIndicator);
+    initOfflineSync({
+        onRejected: () => showToast(t('writeRejected'), 'error', 5000),
+        onConflict: resolveScheduleConflict,
+        onSynced: handleWriteSynced
+    });
     loadScheduleFromFirebase();
+    loadClients(getSession()?.pharmacyId).catch(error => console.error('Error loading clients:', error));
 
     // Update pharmacy name from session if logged in as pharmacy
     // Update pharmacy name from session if logged in as pharmacy
@@ -174,17 +331,34 @@ function onLoginSuccess() {
 }
 
 function cacheElements() {
+    elements.schedule = document.getElementById('schedule');
     elements.scheduleBody = document.getElementById('scheduleBody');
+    elements.scheduleContainer = document.querySelector('.schedule-container');
+    elements.overview = document.getElementById('overview');
+    elements.viewToggle = document.getElementById('viewToggle');
     elements.drawer = document.getElementById('drawer');
     elements.previewBar = document.getElementById('previewBar');
     elements.mainContent = document.getElementById('mainContent');
     elements.rescheduleSection = document.getElementById('rescheduleSection');
     elements.rescheduleList = document.getElementById('rescheduleList');
     elements.themeToggle = document.getElementById('themeToggle');
+    elements.syncStatus = document.getElementById('syncStatus');
+    elements.timelineAnnouncer = document.getElementById('timelineAnnouncer');
+    elements.syncStatusIcon = document.getElementById('syncStatusIcon');
+    elements.syncStatusLabel = document.getElementById('syncStatusLabel');
     elements.themeIcon = document.getElementById('themeIcon');
     elements.langPT = document.getElementById('langPT');
     elements.langEN = document.getElementById('langEN');
     elements.addTechBreakBtn = document.getElementById('addTechBreakBtn');
+    elements.undoBtn = document.getElementById('undoBtn');
+    elements.redoBtn = document.getElementById('redoBtn');
+    elements.autoArrangeBtn = document.getElementById('autoArrangeBtn');
+    elements.layoutBtn = document.getElementById('layoutBtn');
+    elements.layoutModal = document.getElementById('layoutModal');
+    elements.layoutModalClose = document.getElementById('layoutModalClose');
+    elements.layoutTemplateList = document.getElementById('layoutTemplateList');
+    elements.layoutCopyDate = document.getElementById('layoutCopyDate');
+    elements.layoutCopyBtn = document.getElementById('layoutCopyBtn');
     elements.printBtn = document.getElementById('printBtn');
     elements.drawerClose = document.getElementById('drawerClose');
     elements.clearSlotBtn = document.getElementById('clearSlotBtn');
@@ -193,12 +367,60 @@ function cacheElements() {
     elements.previewApply = document.getElementById('previewApply');
     elements.clientName = document.getElementById('clientName');
     elements.clientContact = document.getElementById('clientContact');
+    elements.clientSuggestions = document.getElementById('clientSuggestions');
+    elements.clientLinked = document.getElementById('clientLinked');
+    elements.clientHistoryBtn = document.getElementById('clientHistoryBtn');
+    elements.clientModal = document.getElementById('clientModal');
+    elements.clientModalName = document.getElementById('clientModalName');
+    elements.clientModalContact = document.getElementById('clientModalContact');
+    elements.clientModalBody = document.getElementById('clientModalBody');
+    elements.waitlistCount = document.getElementById('waitlistCount');
+    elements.waitlistList = document.getElementById('waitlistList');
+    elements.waitlistForm = document.getElementById('waitlistForm');
+    elements.waitlistName = document.getElementById('waitlistName');
+    elements.waitlistContact = document.getElementById('waitlistContact');
+    elements.waitlistService = document.getElementById('waitlistService');
+    elements.moveDayBtn = document.getElementById('moveDayBtn');
+    elements.moveDayModal = document.getElementById('moveDayModal');
+    elements.moveDayClient = document.getElementById('moveDayClient');
+    elements.moveDayBody = document.getElementById('moveDayBody');
+    elements.moveDayClose = document.getElementById('moveDayClose');
+    elements.cancelAppointmentBtn = document.getElementById('cancelAppointmentBtn');
+    elements.cancelModal = document.getElementById('cancelModal');
+    elements.cancelModalClient = document.getElementById('cancelModalClient');
+    elements.cancelModalClose = document.getElementById('cancelModalClose');
+    elements.cancelReason = document.getElementById('cancelReason');
+    elements.cancelKeepSlot = document.getElementById('cancelKeepSlot');
+    elements.cancelConfirmBtn = document.getElementById('cancelConfirmBtn');
+    elements.cancelledSection = document.getElementById('cancelledSection');
+    elements.cancelledCount = document.getElementById('cancelledCount');
+    elements.cancelledList = document.getElementById('cancelledList');
+    elements.statusHistory = document.getElementById('statusHistory');
+    elements.closeDayBtn = document.getElementById('closeDayBtn');
+    elements.closeDayModal = document.getElementById('closeDayModal');
+    elements.closeDayModalClose = document.getElementById('closeDayModalClose');
+    elements.closeDayExpert = document.getElementById('closeDayExpert');
+    elements.closeDayList = document.getElementById('closeDayList');
+    elements.closeDayProducts = document.getElementById('closeDayProducts');
+    elements.closeDayRemarks = document.getElementById('closeDayRemarks');
+    elements.closeDayConfirmBtn = document.getElementById('closeDayConfirmBtn');
+    elements.drawerLockedHint = document.getElementById('drawerLockedHint');
+    elements.conflictModal = document.getElementById('conflictModal');
+    elements.conflictModalDate = document.getElementById('conflictModalDate');
+    elements.conflictModalBody = document.getElementById('conflictModalBody');
+    elements.conflictModalApply = document.getElementById('conflictModalApply');
+    elements.clientModalClose = document.getElementById('clientModalClose');
     elements.clientNotes = document.getElementById('clientNotes');
+    elements.clientFixedTime = document.getElementById('clientFixedTime');
+    elements.clientFixedTimeLabel = document.getElementById('clientFixedTimeLabel');
+    elements.clientService = document.getElementById('clientService');
     elements.statusButtons = document.getElementById('statusButtons');
+    elements.statusTimes = document.getElementById('statusTimes');
     elements.datePicker = document.getElementById('datePicker');
     elements.dateDisplay = document.getElementById('dateDisplay');
     elements.currentDate = document.getElementById('currentDate');
     elements.previewMessage = document.getElementById('previewMessage');
+    elements.scheduleSubtitle = document.getElementById('scheduleSubtitle');
     elements.pharmacyName = document.getElementById('pharmacyName');
     elements.editPharmacyBtn = document.getElementById('editPharmacyBtn');
     elements.pharmacyEditMode = document.getElementById('pharmacyEditMode');
@@ -270,124 +492,448 @@ function showConfirmModal() {
     });
 }
 
+// ==========================================
+// Edit Conflicts
+// ==========================================
+
+/**
+ * Combine this tablet's edits with a schedule saved elsewhere meanwhile
+ * Edits to different blocks merge silently; the user picks a version for the rest
+ * @returns {Promise<Object>} Schedule to write
+ */
+async function resolveScheduleConflict(path, base, local, server) {
+    if (!path.startsWith('schedules/') || !server) return local;
+
+    // Copies saved by older app versions are compared in the current schema
+    const profile = getScheduleProfile(local);
+    const result = mergeSchedules(base && migrateSchedule(base, profile).schedule, local, migrateSchedule(server, profile).schedule);
+    const schedule = result.conflicts.length === 0
+        ? result.merged
+        : applyConflictChoices(result, await showConflictModal(result.conflicts, local), local, server);
+
+    return recordAppointmentTimes(schedule);
+}
+
+/**
+ * Ask which version of each conflicting block to keep (this tablet's by default)
+ * @returns {Promise<Array<'local'|'server'>>} One choice per conflict
+ */
+function showConflictModal(conflicts, local) {
+    return new Promise((resolve) => {
+        const starts = {};
+        reflow({ ...local }).scheduleItems.forEach(item => { starts[item.id] = item.start; });
+
+        if (elements.conflictModalDate) {
+            elements.conflictModalDate.textContent = [local.date ? formatLongDate(local.date) : '', local.expertName]
+                .filter(Boolean).join(' • ');
+        }
+        elements.conflictModalBody.innerHTML = conflicts
+            .map((conflict, index) => renderConflict(conflict, index, starts, local))
+            .join('');
+        elements.conflictModal.classList.remove('hidden');
+
+        function handleApply() {
+            elements.conflictModalApply.removeEventListener('click', handleApply);
+            elements.conflictModal.classList.add('hidden');
+            resolve(conflicts.map((_, index) =>
+                elements.conflictModalBody.querySelector(`input[name="conflict-${index}"]:checked`)?.value || 'local'));
+        }
+
+        elements.conflictModalApply.addEventListener('click', handleApply);
+    });
+}
+
+function renderConflict(conflict, index, starts, local) {
+    const isLayout = conflict.type === 'layout';
+    const title = isLayout ? t('conflictLayout') : starts[conflict.blockId] || t('historyNeedsReschedule');
+    const describe = isLayout
+        ? blocks => describeLayout(blocks, local.profile)
+        : describeConflictAppointment;
+
+    const option = (value, labelKey, version) => `
+        <label class="conflict__option">
+          <input type="radio" name="conflict-${index}" value="${value}" ${value === 'local' ? 'checked' : ''}>
+          <span>
+            <span class="conflict__label">${t(labelKey)}</span>
+            <span class="conflict__summary">${escapeHtml(describe(version))}</span>
+          </span>
+        </label>`;
+
+    return `
+      <fieldset class="conflict">
+        <legend class="conflict__title">${title}</legend>
+        ${option('local', 'conflictKeepMine', conflict.local)}
+        ${option('server', 'conflictKeepTheirs', conflict.server)}
+      </fieldset>`;
+}
+
+function describeConflictAppointment(apt) {
+    if (!apt?.isBooked) return t('conflictSlotFree');
+
+    const service = getService(apt.serviceId);
+    return [apt.name, service ? t(service.labelKey) : null, getStatusLabel(apt.status), apt.notes || null]
+        .filter(Boolean).join(' • ');
+}
+
+function describeLayout(blocks, profile) {
+    const { scheduleItems } = reflow({ blocks: blocks || [], appointments: {}, profile });
+    const lunch = scheduleItems.find(item => item.type === BLOCK_TYPES.LUNCH);
+    const breakCount = (blocks || []).filter(block => block.type === BLOCK_TYPES.TECH_BREAK).length;
+    return t('conflictLayoutSummary', { time: lunch?.start || '—', count: breakCount });
+}
+
 // ==========================================
 // Firebase Integration
 // ==========================================
 
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Timeout')), ms);
+        promise
+            .then(result => { clearTimeout(timeout); resolve(result); })
+            .catch(err => { clearTimeout(timeout); reject(err); });
+    });
+}
+
+/**
+ * Read a document from the server, falling back to the offline copy
+ * Documents with queued local writes are read from the offline copy - the server's is stale
+ * @param {string} path - Document path, e.g. "schedules/2026-10-19"
+ * @returns {Promise<Object|null>} Document data or null
+ */
+async function readDocument(path) {
+    if (hasPendingWrite(path)) return getCachedDocument(path);
+
+    try {
+        const docSnap = await withTimeout(getDoc(doc(db, path)), FETCH_TIMEOUT);
+        const data = docSnap.exists() ? docSnap.data() : null;
+        if (data) cacheDocument(path, data);
+        return data;
+    } catch (error) {
+        console.warn(`Fetch failed, using offline copy of ${path}:`, error);
+        return getCachedDocument(path);
+    }
+}
+
+/**
+ * Fetch a pharmacy's document once (schedule profile lives there)
+ */
+async function loadPharmacyDoc(pharmacyId) {
+    if (!pharmacyId) return null;
+    if (pharmacyId in pharmacyDocs) return pharmacyDocs[pharmacyId];
+
+    const path = `pharmacies/${pharmacyId}`;
+    const pharmacy = await getPharmacy(pharmacyId);
+    if (pharmacy) cacheDocument(path, pharmacy);
+
+    pharmacyDocs[pharmacyId] = pharmacy || await getCachedDocument(path);
+    return pharmacyDocs[pharmacyId];
+}
+
+/**
+ * Fetch an assigned expert's directory document once
+ */
+async function loadExpertDoc(expertId) {
+    if (!expertId) return null;
+    if (expertId in expertDocs) return expertDocs[expertId];
+
+    const path = `experts/${expertId}`;
+    try {
+        const snap = await withTimeout(getDoc(doc(db, path)), FETCH_TIMEOUT);
+        expertDocs[expertId] = snap.exists() ? snap.data() : null;
+        if (expertDocs[expertId]) cacheDocument(path, expertDocs[expertId]);
+    } catch (error) {
+        console.error('Error loading expert:', error);
+        return getCachedDocument(path); // Not kept in memory - retried on the next load
+    }
+    return expertDocs[expertId];
+}
+
+/**
+ * Attach a column's current profile to a loaded schedule, migrated to the current schema
+ * Bookings that no longer fit are reported by reflow() as needing reschedule
+ */
+function withProfile(schedule, profile) {
+    return { ...migrateSchedule(schedule, profile).schedule, profile: { ...profile } };
+}
+
+/**
+ * One timeline column per Skin Expert the pharmacy has on a date
+ * Unassigned days fall back to the single date-keyed schedule
+ */
+async function buildDayColumns(dateStr) {
+    const session = getSession();
+    const columns = [];
+
+    // Offline, the assignments last seen for this date keep the same columns
+    const cacheKey = `assignments/${session?.pharmacyId}/${dateStr}`;
+    let assignments = await getDateAssignments(dateStr);
+    if (assignments) cacheDocument(cacheKey, assignments);
+    else assignments = await getCachedDocument(cacheKey) || [];
+
+    for (const assignment of assignments) {
+        const pharmacy = await loadPharmacyDoc(assignment.pharmacyId);
+        const profile = resolveScheduleProfile(pharmacy, dateStr);
+        const experts = getAssignmentExperts(assignment);
+        await Promise.all(experts.map(expert => loadExpertDoc(expert.expertId)));
+
+        experts.forEach((expert, index) => {
+            columns.push({
+                id: getAssignmentScheduleId(assignment, index),
+                date: dateStr,
+                pharmacyId: assignment.pharmacyId,
+                pharmacyName: assignment.pharmacyName || null,
+                expertId: expert.id,
+                expertName: expert.name || '',
+                directoryId: expert.expertId || null,
+                profile,
+                schedule: createDefaultSchedule(profile),
+                base: null, // Last server copy - saves are version-checked against it
+                needsReschedule: []
+            });
+        });
+    }
+
+    if (columns.length === 0) {
+        const pharmacyId = session?.pharmacyId || null;
+        const profile = resolveScheduleProfile(await loadPharmacyDoc(pharmacyId), dateStr);
+        columns.push({
+            id: dateStr,
+            date: dateStr,
+            pharmacyId,
+            pharmacyName: session?.name || null,
+            expertId: null,
+            expertName: '',
+            directoryId: null,
+            profile,
+            schedule: createDefaultSchedule(profile),
+            base: null,
+            needsReschedule: []
+        });
+    }
+
+    return columns;
+}
+
+function getActiveColumn() {
+    return state.columns.find(column => column.id === state.activeColumnId) || null;
+}
+
+/**
+ * Replace the active column's schedule - state.schedule always mirrors it
+ */
+function setSchedule(schedule) {
+    state.schedule = schedule;
+    const column = getActiveColumn();
+    if (column) column.schedule = schedule;
+}
+
+/**
+ * Make a column the target of drawer, drag and break actions
+ */
+function setActiveColumn(columnId) {
+    const column = state.columns.find(c => c.id === columnId);
+    if (!column || column.id === state.activeColumnId) return;
+
+    // A pending proposal belongs to the column it was made on
+    if (state.ui.previewMode) cancelPreview();
+
+    state.activeColumnId = column.id;
+    state.schedule = column.schedule;
+    state.profile = column.profile;
+    updateExpertCard();
+    updateSubtitle();
+    updateLayoutButtons();
+    renderWaitlist();
+    renderCancelledList();
+}
+
+/**
+ * Apply a schedule document to its column, keeping the column's profile
+ */
+function applyColumnData(column, data) {
+    column.schedule = withProfile(data, column.profile);
+    if (column.id === state.activeColumnId) state.schedule = column.schedule;
+    setHistoryBaseline(getHistoryKey(column), column.schedule);
+}
+
 async function loadScheduleFromFirebase() {
     try {
-        if (unsubscribeSnapshot) {
-            unsubscribeSnapshot();
-            unsubscribeSnapshot = null;
-        }
+        unsubscribeSnapshots.forEach(unsubscribe => unsubscribe());
+        unsubscribeSnapshots = [];
+
+        const loadDate = state.date;
+        const columns = await buildDayColumns(loadDate);
+        if (state.date !== loadDate) return; // Date changed while loading
 
-        const freshState = createInitialState();
-        state.schedule = freshState.schedule;
+        state.columns = columns;
+        state.activeColumnId = null;
+        columns.forEach(column => setHistoryBaseline(getHistoryKey(column), column.schedule));
+        setActiveColumn(columns[0].id);
         renderSchedule();
 
-        const docId = state.date;
-        const docRef = doc(db, "schedules", docId);
+        await Promise.all(columns.map(column => loadColumnSchedule(column)));
+    } catch (error) {
+        console.error("Error getting document:", error);
+    }
+}
 
-        const fetchWithTimeout = new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => reject(new Error('Timeout')), 3000);
-            getDoc(docRef)
-                .then(result => { clearTimeout(timeout); resolve(result); })
-                .catch(err => { clearTimeout(timeout); reject(err); });
-        });
+/**
+ * Fetch one column's schedule and keep it in sync
+ * The offline copy is shown first so the day is usable without a connection
+ */
+async function loadColumnSchedule(column) {
+    const path = `schedules/${column.id}`;
+
+    // Without queued writes the offline copy is the last known server copy
+    const cached = await getCachedDocument(path);
+    if (cached && state.columns.includes(column)) {
+        if (!hasPendingWrite(path)) column.base = cached;
+        applyColumnData(column, cached);
+        renderSchedule();
+    }
 
-        try {
-            const docSnap = await fetchWithTimeout;
-            if (docSnap.exists()) {
-                state.schedule = docSnap.data();
-                renderSchedule();
-            }
-        } catch (fetchError) {
-            console.warn("Initial fetch slow/failed:", fetchError);
+    const data = await readDocument(path);
+    if (data && data !== cached && state.columns.includes(column)) {
+        if (!hasPendingWrite(path)) column.base = data;
+        applyColumnData(column, data);
+        renderSchedule();
+    }
+
+    if (!state.columns.includes(column)) return;
+
+    unsubscribeSnapshots.push(onSnapshot(doc(db, path), (docSnapshot) => {
+        // Skip while saving or while local changes are queued - the snapshot predates them
+        if (isSaving || hasPendingWrite(path)) return;
+
+        if (docSnapshot.exists() && !docSnapshot.metadata.hasPendingWrites) {
+            const snapshotData = docSnapshot.data();
+            column.base = snapshotData;
+            cacheDocument(path, snapshotData);
+            applyColumnData(column, snapshotData);
+            renderSchedule();
+            updateAvailabilityStatus(column.date);
         }
+    }, (error) => console.warn('Live sync unavailable:', error)));
+}
+
+/**
+ * A versioned schedule write reached the server - possibly merged with changes made elsewhere
+ */
+function handleWriteSynced(path, data) {
+    if (!path.startsWith('schedules/') || hasPendingWrite(path)) return; // Newer local edits still queued
+
+    cacheDocument(path, data);
+    const column = state.columns.find(c => `schedules/${c.id}` === path);
+    if (!column || isSaving) return;
 
-        unsubscribeSnapshot = onSnapshot(doc(db, "schedules", docId), (docSnapshot) => {
-            // Skip if we're currently saving - prevents race condition
-            if (isSaving) return;
+    column.base = data;
+    applyColumnData(column, data);
+    if (state.ui.view === 'day') renderSchedule();
+}
 
-            if (docSnapshot.exists()) {
-                state.schedule = docSnapshot.data();
-                renderSchedule();
-                updateAvailabilityStatus(docId);
+/**
+ * Schedule as stored in its document: a plain copy carrying the column's keys
+ */
+function toScheduleDocument(column, schedule) {
+    const { pharmacyId, pharmacyName } = column;
+    const scheduleToSave = JSON.parse(JSON.stringify(schedule));
+
+    // Add pharmacy info to each appointment if logged in as pharmacy
+    if (pharmacyId && scheduleToSave.appointments) {
+        Object.keys(scheduleToSave.appointments).forEach(key => {
+            const apt = scheduleToSave.appointments[key];
+            // Only add pharmacy if not already set (don't overwrite)
+            if (!apt.pharmacyId) {
+                apt.pharmacyId = pharmacyId;
+                apt.pharmacyName = pharmacyName;
             }
         });
+    }
 
-    } catch (error) {
-        console.error("Error getting document:", error);
+    // Store the keys at schedule level so the admin never has to parse document IDs
+    scheduleToSave.date = column.date;
+    scheduleToSave.schemaVersion = SCHEMA_VERSION;
+    if (pharmacyId) {
+        scheduleToSave.pharmacyId = pharmacyId;
+        scheduleToSave.pharmacyName = pharmacyName;
     }
+    if (column.expertId) {
+        scheduleToSave.expertId = column.expertId;
+        scheduleToSave.expertName = column.expertName;
+    }
+
+    return scheduleToSave;
 }
 
-async function saveScheduleToFirebase() {
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.isHistoryStep] - Saving an undo/redo, which must not be recorded as a new edit
+ * @param {Object|null} [options.base] - Server copy the edit was made from, when older than the column's
+ */
+async function saveScheduleToFirebase({ isHistoryStep = false, base } = {}) {
+    const column = getActiveColumn();
+    if (!column) return;
+
     isSaving = true; // Lock to prevent onSnapshot from overwriting
     try {
-        const docId = state.date;
-
-        // Get current pharmacy info from session
-        const pharmacy = getPharmacy();
-        const pharmacyId = pharmacy?.pharmacyId || null;
-        const pharmacyName = pharmacy?.pharmacyName || null;
-
-        // Clone schedule and add pharmacy info to appointments
-        const scheduleToSave = JSON.parse(JSON.stringify(state.schedule));
-
-        // Add pharmacy info to each appointment if logged in as pharmacy
-        if (pharmacyId && scheduleToSave.appointments) {
-            Object.keys(scheduleToSave.appointments).forEach(key => {
-                const apt = scheduleToSave.appointments[key];
-                // Only add pharmacy if not already set (don't overwrite)
-                if (!apt.pharmacyId) {
-                    apt.pharmacyId = pharmacyId;
-                    apt.pharmacyName = pharmacyName;
-                }
-            });
-        }
-
-        // Also store pharmacy info at schedule level for the date
-        if (pharmacyId) {
-            scheduleToSave.pharmacyId = pharmacyId;
-            scheduleToSave.pharmacyName = pharmacyName;
-        }
-
-        await setDoc(doc(db, "schedules", docId), scheduleToSave);
-        await updateAvailabilityStatus(docId);
+        // Keep each appointment's last known time so trimmed ones can be reported later
+        setSchedule(recordAppointmentTimes(state.schedule));
+        if (!isHistoryStep) recordEdit(getHistoryKey(column), state.schedule);
+        updateHistoryButtons();
+
+        const scheduleToSave = toScheduleDocument(column, state.schedule);
+
+        // Saved locally first; offline-store sends it once the server is reachable,
+        // checked against the version this column was loaded from
+        const path = `schedules/${column.id}`;
+        await cacheDocument(path, scheduleToSave);
+        await queueWrite(path, scheduleToSave, { base: base !== undefined ? base : column.base || null });
+        await updateAvailabilityStatus(column.date);
     } catch (error) {
         console.error("Error saving schedule:", error);
     } finally {
-        // Short delay before unlocking to let Firestore sync complete
-        setTimeout(() => { isSaving = false; }, 500);
+        // From here on the queued write keeps onSnapshot from overwriting local edits
+        isSaving = false;
     }
 }
 
-async function updateAvailabilityStatus(dateStr) {
+/**
+ * Mark the pharmacy's day full in month_availability once every expert column is full
+ * Entries are keyed per pharmacy; the date-only key is legacy
+ * @param {string} dateStr - Date "YYYY-MM-DD"
+ * @param {Array<Object>} [dayColumns] - That date's columns when it is not the day shown
+ */
+async function updateAvailabilityStatus(dateStr, dayColumns = state.columns) {
     try {
-        const { slots, appointments } = reflow(state.schedule);
-        // With time-based appointments, 'slots' only contains EMPTY slots
-        // 'appointments' contains booked appointments
-        // Total potential slots = empty slots + booked appointments
-        const emptySlotCount = slots.length;
-        const bookedCount = appointments.filter(a => a.isBooked).length;
-        const totalPotentialSlots = emptySlotCount + bookedCount;
-
-        // Day is full only when there are no empty slots AND at least one booking
+        const pharmacyId = getActiveColumn()?.pharmacyId || null;
+        const pharmacyColumns = dayColumns.filter(column => column.pharmacyId === pharmacyId);
+
+        // Day is full only when no column has empty slots AND there is at least one booking
+        let emptySlotCount = 0;
+        let bookedCount = 0;
+        pharmacyColumns.forEach(column => {
+            const { slots, appointments } = reflow(column.schedule);
+            emptySlotCount += slots.length;
+            bookedCount += appointments.filter(a => a.isBooked).length;
+        });
         const isFull = emptySlotCount === 0 && bookedCount > 0;
 
         const monthKey = dateStr.substring(0, 7);
-        const monthRef = doc(db, "month_availability", monthKey);
-        const monthSnap = await getDoc(monthRef);
-        const monthData = monthSnap.exists() ? monthSnap.data() : {};
+        const dayKey = pharmacyId ? getAssignmentDocId(dateStr, pharmacyId) : dateStr;
+        const update = isFull ? { [dayKey]: 'full' } : {};
+        const deleteFields = isFull ? [] : [dayKey];
+        if (pharmacyId) deleteFields.push(dateStr);
 
-        if (isFull) {
-            monthData[dateStr] = 'full';
-        } else {
-            delete monthData[dateStr];
-        }
+        // Queued writes cannot be read back, so the calendar is updated locally
+        const current = availabilityCache[monthKey];
+        const availability = { ...(current || {}), ...update };
+        deleteFields.forEach(key => delete availability[key]);
+        if (current && JSON.stringify(current) === JSON.stringify(availability)) return; // Nothing to write
+        availabilityCache[monthKey] = availability;
+        cacheDocument(`month_availability/${monthKey}`, availability);
 
-        await setDoc(monthRef, monthData);
-        availabilityCache[monthKey] = monthData;
+        await queueWrite(`month_availability/${monthKey}`, update, { merge: true, deleteFields });
 
         if (flatpickrInstance) flatpickrInstance.redraw();
     } catch (error) {
@@ -395,6 +941,37 @@ async function updateAvailabilityStatus(dateStr) {
     }
 }
 
+// ==========================================
+// Sync Status
+// ==========================================
+
+const SYNC_ICONS = {
+    synced: 'cloud_done',
+    pending: 'cloud_upload',
+    syncing: 'sync',
+    offline: 'cloud_off'
+};
+
+/**
+ * Header indicator showing whether local changes have reached the server
+ * @param {{state: string, pending: number}} status - From offline-store
+ */
+function updateSyncIndicator(status) {
+    syncStatus = status;
+    if (!elements.syncStatus) return;
+
+    const labelKeys = {
+        synced: 'syncSynced',
+        pending: 'syncPending',
+        syncing: 'syncSyncing',
+        offline: status.pending > 0 ? 'syncOffline' : 'syncOfflineIdle'
+    };
+
+    elements.syncStatus.dataset.state = status.state;
+    elements.syncStatusIcon.textContent = SYNC_ICONS[status.state];
+    elements.syncStatusLabel.textContent = t(labelKeys[status.state], { count: status.pending });
+}
+
 // ==========================================
 // Theme Management
 // ==========================================
@@ -438,7 +1015,10 @@ async function changeLanguage(lang) {
     await setLanguage(lang);
     translatePage();
     updateLanguageToggle();
-    renderSchedule();
+    updateDateDisplay();
+    updateSyncIndicator(syncStatus);
+    if (state.ui.view === 'day') renderSchedule();
+    else renderOverview();
 }
 
 // ==========================================
@@ -446,6 +1026,7 @@ async function changeLanguage(lang) {
 // ==========================================
 
 let tempAvatarDataUrl = null;
+let localExpert = { name: '', avatar: DEFAULT_AVATAR }; // Typed on this tablet, used when no expert is assigned
 
 function initEditableFields() {
     try {
@@ -453,16 +1034,34 @@ function initEditableFields() {
         if (savedPharmacy && elements.pharmacyName) elements.pharmacyName.textContent = savedPharmacy;
     } catch (e) { }
 
+    localExpert.name = elements.expertName?.textContent || '';
     try {
         const savedExpertName = localStorage.getItem(EXPERT_NAME_KEY);
-        if (savedExpertName && elements.expertName) elements.expertName.textContent = savedExpertName;
+        if (savedExpertName) localExpert.name = savedExpertName;
     } catch (e) { }
 
     try {
         const savedAvatar = localStorage.getItem(EXPERT_AVATAR_KEY);
-        if (savedAvatar && elements.expertAvatarImg) elements.expertAvatarImg.src = savedAvatar;
-        if (savedAvatar && elements.modalAvatarImg) elements.modalAvatarImg.src = savedAvatar;
+        if (savedAvatar) localExpert.avatar = savedAvatar;
     } catch (e) { }
+
+    updateExpertCard();
+}
+
+/**
+ * Show the active column's Skin Expert in the header
+ * Directory experts assigned by the admin replace the name/photo typed on this tablet
+ */
+function updateExpertCard() {
+    const column = getActiveColumn();
+    const assigned = column?.directoryId ? expertDocs[column.directoryId] : null;
+    const name = assigned?.name || (column?.directoryId && column.expertName) || '';
+
+    if (elements.expertName) elements.expertName.textContent = name || localExpert.name;
+    if (elements.expertAvatarImg) {
+        elements.expertAvatarImg.src = name ? (assigned?.photoUrl || DEFAULT_AVATAR) : localExpert.avatar;
+    }
+    elements.editExpertBtn?.classList.toggle('hidden', !!name);
 }
 
 function openPharmacyEdit() {
@@ -488,7 +1087,7 @@ function closePharmacyEdit() {
 
 function openExpertModal() {
     if (elements.expertNameInput) elements.expertNameInput.value = elements.expertName?.textContent || '';
-    if (elements.modalAvatarImg) elements.modalAvatarImg.src = elements.expertAvatarImg?.src || DEFAULT_AVATAR;
+    if (elements.modalAvatarImg) elements.modalAvatarImg.src = localExpert.avatar;
     tempAvatarDataUrl = null;
     elements.expertModal?.classList.remove('hidden');
 }
@@ -500,14 +1099,15 @@ function closeExpertModal() {
 
 function saveExpert() {
     const newName = elements.expertNameInput?.value.trim();
-    if (newName && elements.expertName) {
-        elements.expertName.textContent = newName;
+    if (newName) {
+        localExpert.name = newName;
         try { localStorage.setItem(EXPERT_NAME_KEY, newName); } catch (e) { }
     }
     if (tempAvatarDataUrl) {
-        if (elements.expertAvatarImg) elements.expertAvatarImg.src = tempAvatarDataUrl;
+        localExpert.avatar = tempAvatarDataUrl;
         try { localStorage.setItem(EXPERT_AVATAR_KEY, tempAvatarDataUrl); } catch (e) { }
     }
+    updateExpertCard();
     closeExpertModal();
 }
 
@@ -526,9 +1126,10 @@ function handleAvatarUpload(event) {
 
 function removeAvatar() {
     if (elements.modalAvatarImg) elements.modalAvatarImg.src = DEFAULT_AVATAR;
-    tempAvatarDataUrl = DEFAULT_AVATAR;
-    if (elements.expertAvatarImg) elements.expertAvatarImg.src = DEFAULT_AVATAR;
+    tempAvatarDataUrl = null;
+    localExpert.avatar = DEFAULT_AVATAR;
     try { localStorage.removeItem(EXPERT_AVATAR_KEY); } catch (e) { }
+    updateExpertCard();
 }
 
 // ==========================================
@@ -536,24 +1137,41 @@ function removeAvatar() {
 // ==========================================
 
 function updateDateDisplay() {
-    const dateObj = new Date(state.date);
-    const weekdays = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
-    const months = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+    const dateObj = parseLocalDate(state.date);
+    const weekday = date => t(`weekdays.${WEEKDAY_KEYS[date.getDay()]}`);
+    const month = date => t(`months.${MONTH_KEYS[date.getMonth()]}`);
 
     if (elements.currentDate) {
-        elements.currentDate.textContent = `${weekdays[dateObj.getDay()]}, ${dateObj.getDate()} ${months[dateObj.getMonth()]}`;
+        if (state.ui.view === 'week') {
+            const week = getWeekDates(state.date).map(parseLocalDate);
+            const first = week[0];
+            const last = week[6];
+            elements.currentDate.textContent = `${first.getDate()} ${month(first)} – ${last.getDate()} ${month(last)}`;
+        } else if (state.ui.view === 'month') {
+            elements.currentDate.textContent = `${month(dateObj)} ${dateObj.getFullYear()}`;
+        } else {
+            elements.currentDate.textContent = `${weekday(dateObj)}, ${dateObj.getDate()} ${month(dateObj)}`;
+        }
     }
 
     const todayStr = formatLocalDate(new Date());
+    const showToday = state.ui.view === 'day' && state.date === todayStr;
     const dateLabel = document.querySelector('.header__date-label');
     if (dateLabel) {
-        dateLabel.textContent = state.date === todayStr ? t('today') : '';
-        dateLabel.style.display = state.date === todayStr ? 'block' : 'none';
+        dateLabel.textContent = showToday ? t('today') : '';
+        dateLabel.style.display = showToday ? 'block' : 'none';
     }
 
     if (elements.datePicker) elements.datePicker.value = state.date;
 }
 
+function updateSubtitle() {
+    if (elements.scheduleSubtitle) {
+        const closure = isDayClosed(state.schedule) ? ` • ${t('dayClosedAt', { time: formatStampTime(state.schedule.closure.closedAt) })}` : '';
+        elements.scheduleSubtitle.textContent = t('scheduleSubtitle', { minutes: state.profile.slotDuration }) + closure;
+    }
+}
+
 function updateHeaderStatus(isFull) {
     const dateNav = document.querySelector('.header__date-nav');
     if (dateNav) dateNav.classList.toggle('header__date-nav--full', isFull);
@@ -561,21 +1179,35 @@ function updateHeaderStatus(isFull) {
 
 async function changeDate(newDateStr) {
     if (state.date === newDateStr) return;
+    // A pending proposal belongs to the day it was made on
+    if (state.ui.previewMode) cancelPreview();
     state.date = newDateStr;
     updateDateDisplay();
-    await loadScheduleFromFirebase();
+    if (state.ui.view === 'day') await loadScheduleFromFirebase();
+    else await renderOverview();
 }
 
-function handlePrevDay() {
-    const date = new Date(state.date);
-    date.setDate(date.getDate() - 1);
+/**
+ * Step the date by one day, week or month depending on the current view
+ * @param {number} direction - -1 (previous) or 1 (next)
+ */
+function stepDate(direction) {
+    const date = parseLocalDate(state.date);
+    if (state.ui.view === 'month') {
+        date.setDate(1);
+        date.setMonth(date.getMonth() + direction);
+    } else {
+        date.setDate(date.getDate() + direction * (state.ui.view === 'week' ? 7 : 1));
+    }
     changeDate(formatLocalDate(date));
 }
 
+function handlePrevDay() {
+    stepDate(-1);
+}
+
 function handleNextDay() {
-    const date = new Date(state.date);
-    date.setDate(date.getDate() + 1);
-    changeDate(formatLocalDate(date));
+    stepDate(1);
 }
 
 function initFlatpickr() {
@@ -604,8 +1236,11 @@ function initFlatpickr() {
             const dateStr = formatLocalDate(dayElem.dateObj);
             const monthKey = dateStr.substring(0, 7);
 
-            // Show full days
-            if (availabilityCache[monthKey]?.[dateStr] === 'full') {
+            // Show full days (per-pharmacy entry, or the legacy date-only one)
+            const monthAvailability = availabilityCache[monthKey] || {};
+            const pharmacyId = getSession()?.pharmacyId;
+            const pharmacyKey = pharmacyId ? getAssignmentDocId(dateStr, pharmacyId) : null;
+            if (monthAvailability[dateStr] === 'full' || (pharmacyKey && monthAvailability[pharmacyKey] === 'full')) {
                 dayElem.classList.add('day-full');
             }
 
@@ -625,7 +1260,9 @@ function initFlatpickr() {
             // Check if pharmacy user can access this date
             if (!isAdmin()) {
                 const { allowed, reason } = await checkDateAssignment(dateStr);
-                if (!allowed) {
+                // Offline, fall back to the month's cached assigned dates
+                const isKnownAssigned = reason === 'error' && assignedDatesCache[dateStr.substring(0, 7)]?.includes(dateStr);
+                if (!allowed && !isKnownAssigned) {
                     // Show error toast and revert
                     alert(t(reason === 'date_not_assigned' ? 'dateNotAssigned' : 'unknownError'));
                     return;
@@ -641,14 +1278,8 @@ function initFlatpickr() {
 
 async function fetchMonthAvailability(monthKey, forceRefresh = false) {
     if (!forceRefresh && availabilityCache[monthKey]) return availabilityCache[monthKey];
-    try {
-        const monthRef = doc(db, "month_availability", monthKey);
-        const monthSnap = await getDoc(monthRef);
-        availabilityCache[monthKey] = monthSnap.exists() ? monthSnap.data() : {};
-        return availabilityCache[monthKey];
-    } catch (error) {
-        return availabilityCache[monthKey] || {};
-    }
+    availabilityCache[monthKey] = await readDocument(`month_availability/${monthKey}`) || {};
+    return availabilityCache[monthKey];
 }
 
 /**
@@ -661,125 +1292,584 @@ async function fetchAssignedDates(monthKey) {
         return;
     }
 
-    try {
-        const dates = await getAssignedDates(monthKey);
+    const cacheKey = `assignedDates/${getSession()?.pharmacyId}/${monthKey}`;
+    const dates = await getAssignedDates(monthKey);
+    if (dates) {
+        cacheDocument(cacheKey, dates);
         assignedDatesCache[monthKey] = dates;
-    } catch (error) {
-        console.error('Error fetching assigned dates:', error);
-        assignedDatesCache[monthKey] = [];
+    } else {
+        assignedDatesCache[monthKey] = await getCachedDocument(cacheKey) || [];
     }
 }
 
 // ==========================================
-// Rendering
+// Week & Month Overview
 // ==========================================
 
-function renderSchedule() {
-    const { scheduleItems, slots, appointments, needsReschedule } = reflow(state.schedule);
+let overviewRequest = 0; // Bumped on every overview load so superseded results are dropped
 
-    // Store computed values (don't overwrite schedule.appointments)
-    state.computed.slots = slots;
-    state.computed.appointments = appointments;
-    state.needsReschedule = needsReschedule;
+/**
+ * Switch between the day timeline and the week/month overviews
+ * @param {'day'|'week'|'month'} view
+ */
+function setView(view) {
+    if (state.ui.view === view) return;
+    // Proposals and edits belong to the day timeline
+    if (state.ui.previewMode) cancelPreview();
+    if (state.ui.drawerOpen) closeDrawer();
+
+    state.ui.view = view;
+    elements.viewToggle?.querySelectorAll('[data-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    elements.scheduleContainer?.classList.toggle('schedule-container--overview', view !== 'day');
+    elements.overview?.classList.toggle('hidden', view === 'day');
+    elements.addTechBreakBtn?.classList.toggle('hidden', view !== 'day');
+    elements.undoBtn?.classList.toggle('hidden', view !== 'day');
+    elements.redoBtn?.classList.toggle('hidden', view !== 'day');
+    elements.autoArrangeBtn?.classList.toggle('hidden', view !== 'day');
+    elements.layoutBtn?.classList.toggle('hidden', view !== 'day');
+    updateDateDisplay();
 
-    elements.scheduleBody.innerHTML = '';
+    if (view === 'day') loadScheduleFromFirebase();
+    else renderOverview();
+}
 
-    scheduleItems.forEach((item) => {
-        const row = createScheduleRow(item, appointments);
-        elements.scheduleBody.appendChild(row);
+/**
+ * Monday-to-Sunday dates of the week containing a date
+ */
+function getWeekDates(dateStr) {
+    const monday = parseLocalDate(dateStr);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    return Array.from({ length: 7 }, (_, i) => {
+        const date = new Date(monday);
+        date.setDate(monday.getDate() + i);
+        return formatLocalDate(date);
     });
+}
 
-    // Day is full when no empty slots AND at least one booking
-    const emptySlotCount = slots.length;
-    const bookedCount = appointments.length;
-    const isFull = emptySlotCount === 0 && bookedCount > 0;
-    updateHeaderStatus(isFull);
+/**
+ * The pharmacy's assigned dates across one or more months
+ */
+async function getAssignedDateSet(monthKeys) {
+    await Promise.all(monthKeys.map(monthKey => fetchAssignedDates(monthKey)));
+    return new Set(monthKeys.flatMap(monthKey => assignedDatesCache[monthKey] || []));
+}
 
-    renderRescheduleSection();
-    attachDragHandlers();
+/**
+ * Booked and free counts for an assigned day, across its Skin Expert columns
+ * Schedules are read once (no live sync) and laid out with reflow()
+ */
+async function loadDaySummary(dateStr) {
+    const columns = await buildDayColumns(dateStr);
+    const isMultiColumn = columns.length > 1;
+
+    const summaries = await Promise.all(columns.map(async (column, index) => {
+        const data = await readDocument(`schedules/${column.id}`);
+        const schedule = data ? withProfile(data, column.profile) : column.schedule;
+        const { scheduleItems, slots, appointments, needsReschedule } = reflow(schedule);
+
+        return {
+            label: isMultiColumn ? getColumnLabel(column, index) : null,
+            items: scheduleItems,
+            booked: appointments.length,
+            free: slots.length,
+            needsReschedule: needsReschedule.length
+        };
+    }));
+
+    const total = key => summaries.reduce((sum, column) => sum + column[key], 0);
+    return {
+        date: dateStr,
+        columns: summaries,
+        booked: total('booked'),
+        free: total('free'),
+        needsReschedule: total('needsReschedule')
+    };
 }
 
-function createScheduleRow(item, appointments) {
-    const row = document.createElement('div');
-    row.className = 'schedule__row';
-    row.setAttribute('data-item-id', item.id);
-    row.setAttribute('data-item-type', item.type);
+async function renderOverview() {
+    const request = ++overviewRequest;
+    if (!elements.overview) return;
 
-    if (item.type === 'lunch') row.classList.add('schedule__row--lunch');
-    else if (item.type === 'techBreak') row.classList.add('schedule__row--techbreak');
-    else if (item.type === 'bookedAppointment') row.classList.add('schedule__row--booked');
+    elements.overview.innerHTML = `<p class="overview__message">${t('overviewLoading')}</p>`;
 
-    const timeCol = document.createElement('div');
-    timeCol.className = 'schedule__time';
-    timeCol.innerHTML = `
-    <span class="schedule__time-start">${item.start}</span>
-    <span class="schedule__time-end">${item.end}</span>
-  `;
+    try {
+        const html = state.ui.view === 'week' ? await buildWeekOverview() : await buildMonthOverview();
+        if (request === overviewRequest) elements.overview.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading overview:', error);
+        if (request === overviewRequest) {
+            elements.overview.innerHTML = `<p class="overview__message">${t('unknownError')}</p>`;
+        }
+    }
+}
 
-    const contentCol = document.createElement('div');
-    contentCol.className = 'schedule__content';
+async function buildWeekOverview() {
+    const dates = getWeekDates(state.date);
+    const assigned = await getAssignedDateSet([...new Set(dates.map(d => d.substring(0, 7)))]);
+    const summaries = await Promise.all(dates.map(d => assigned.has(d) ? loadDaySummary(d) : null));
 
-    if (item.type === 'lunch') {
-        contentCol.innerHTML = createLunchBlock(item.id);
-    } else if (item.type === 'techBreak') {
-        contentCol.innerHTML = createTechBreakBlock(item.id);
-    } else if (item.type === 'bookedAppointment' && item.data) {
-        // Booked appointment (time-based block)
-        // Ensure ID is passed!
-        const appointmentData = { ...item.data, id: item.id };
-        contentCol.innerHTML = createBookedSlot(appointmentData, item.start);
-    } else {
-        // Empty slot - pass blockId for booking
-        contentCol.innerHTML = createAvailableSlot(item.start, item.id);
+    return `<div class="overview-week">${dates.map((d, i) => renderWeekDay(d, summaries[i])).join('')}</div>`;
+}
+
+function renderWeekDay(dateStr, summary) {
+    const date = parseLocalDate(dateStr);
+    const todayClass = dateStr === formatLocalDate(new Date()) ? ' overview-day--today' : '';
+    const count = summary
+        ? `<span class="overview-day__count">${t('overviewBooked', { booked: summary.booked, total: summary.booked + summary.free })}</span>`
+        : '';
+    const headerContent = `
+        <span class="overview-day__weekday">${t(`weekdays.${WEEKDAY_KEYS[date.getDay()]}`)}</span>
+        <span class="overview-day__number">${date.getDate()}</span>
+        ${count}`;
+    // Only assigned days can be opened, as in the date picker
+    const header = summary
+        ? `<button class="overview-day__header" data-date="${dateStr}">${headerContent}</button>`
+        : `<div class="overview-day__header">${headerContent}</div>`;
+
+    if (!summary) {
+        return `
+    <div class="overview-day overview-day--off${todayClass}">
+      ${header}
+      <p class="overview-day__empty">${t('notAssigned')}</p>
+    </div>`;
     }
 
-    row.appendChild(timeCol);
-    row.appendChild(contentCol);
-    return row;
-}
+    const body = summary.columns.map(column => `
+      ${column.label ? `<div class="overview-day__expert">${escapeHtml(column.label)}</div>` : ''}
+      ${column.items.map(renderOverviewRow).join('')}
+    `).join('');
 
-function createLunchBlock(id) {
     return `
-    <div class="lunch-block" data-block-id="${id}">
-      <span class="lunch-block__title" data-i18n="lunch">${t('lunch')}</span>
-      <span class="lunch-block__duration" data-i18n="lunchDuration">${t('lunchDuration')}</span>
-      <span class="lunch-block__drag-handle material-symbols-outlined">drag_indicator</span>
-    </div>
-  `;
+    <div class="overview-day${todayClass}">
+      ${header}
+      <div class="overview-day__rows">${body}</div>
+    </div>`;
 }
 
-function createTechBreakBlock(breakId) {
-    return `
-    <div class="techbreak-block" data-break-id="${breakId}">
-      <span class="techbreak-block__icon material-symbols-outlined">coffee</span>
-      <span class="techbreak-block__text">${t('techBreak')} (${t('techBreakShort')})</span>
-      <button class="techbreak-block__delete-btn no-print" data-break-id="${breakId}" title="${t('delete')}">
-        <span class="material-symbols-outlined">close</span>
-      </button>
-    </div>
-  `;
+/**
+ * One compact timeline row (booked client, free slot or break)
+ */
+function renderOverviewRow(item) {
+    if (item.type === 'bookedAppointment') {
+        return `<div class="overview-row overview-row--booked status--${escapeHtml(item.data.status)}"><span>${item.start}</span>${escapeHtml(item.data.name)}</div>`;
+    }
+    if (item.type === BLOCK_TYPES.SLOT) {
+        return `<div class="overview-row overview-row--free"><span>${item.start}</span>${t('available')}</div>`;
+    }
+    if (item.type === 'idle') return ''; // Time kept free before a fixed-time booking
+    const label = item.type === BLOCK_TYPES.LUNCH ? t('lunch') : item.type === BLOCK_TYPES.GAP ? t('unavailable') : t('techBreak');
+    return `<div class="overview-row overview-row--break"><span>${item.start}</span>${label}</div>`;
 }
 
-function createAvailableSlot(startTime, blockId) {
-    return `
+async function buildMonthOverview() {
+    const monthKey = state.date.substring(0, 7);
+    const dates = [...await getAssignedDateSet([monthKey])].sort();
+
+    if (dates.length === 0) {
+        return `<p class="overview__message">${t('noAssignedDatesMonth')}</p>`;
+    }
+
+    const summaries = await Promise.all(dates.map(loadDaySummary));
+    const todayStr = formatLocalDate(new Date());
+
+    return `<ul class="overview-agenda">${summaries.map(summary => renderAgendaItem(summary, todayStr)).join('')}</ul>`;
+}
+
+function renderAgendaItem(summary, todayStr) {
+    const date = parseLocalDate(summary.date);
+    const total = summary.booked + summary.free;
+    const percent = total > 0 ? Math.round((summary.booked / total) * 100) : 0;
+
+    let badge = '';
+    if (summary.free === 0) badge = `<span class="overview-badge overview-badge--full">${t('dayFull')}</span>`;
+    else if (summary.date >= todayStr) badge = `<span class="overview-badge overview-badge--open">${t('needsClients')}</span>`;
+
+    const reschedule = summary.needsReschedule > 0
+        ? `<span class="overview-badge overview-badge--warning">${t('overviewReschedule', { count: summary.needsReschedule })}</span>`
+        : '';
+
+    return `
+    <li class="overview-agenda__item${summary.date < todayStr ? ' overview-agenda__item--past' : ''}" data-date="${summary.date}">
+      <div class="overview-agenda__date">
+        <span class="overview-day__weekday">${t(`weekdays.${WEEKDAY_KEYS[date.getDay()]}`)}</span>
+        <span class="overview-day__number">${date.getDate()}</span>
+      </div>
+      <div class="overview-agenda__info">
+        <div class="overview-agenda__counts">
+          <span>${t('overviewBooked', { booked: summary.booked, total })}</span>
+          <span>${t('overviewFree', { count: summary.free })}</span>
+        </div>
+        <div class="overview-agenda__bar"><span style="width: ${percent}%"></span></div>
+      </div>
+      <div class="overview-agenda__badges">${badge}${reschedule}</div>
+    </li>`;
+}
+
+/**
+ * Open a day from the overview in the day timeline
+ */
+function openOverviewDay(dateStr) {
+    state.date = dateStr;
+    if (flatpickrInstance) flatpickrInstance.setDate(dateStr, false);
+    setView('day');
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Render one timeline column per Skin Expert
+ * @param {Object} [previousSchedule] - Active column's schedule before the latest change, to report former times
+ */
+function renderSchedule(previousSchedule = null) {
+    const isMultiColumn = state.columns.length > 1;
+    const hadRowFocus = Boolean(document.activeElement?.closest('#scheduleBody .schedule__row'));
+
+    elements.scheduleBody.innerHTML = '';
+    elements.schedule?.classList.toggle('schedule--multi', isMultiColumn);
+
+    const columnsEl = document.createElement('div');
+    columnsEl.className = 'schedule__columns';
+    columnsEl.style.setProperty('--column-count', String(Math.max(1, state.columns.length)));
+
+    let isFull = state.columns.length > 0;
+    state.needsReschedule = [];
+
+    state.columns.forEach((column, index) => {
+        const isActive = column.id === state.activeColumnId;
+        const { element, slots, appointments, needsReschedule } = renderColumn(column, index, isActive ? previousSchedule : null);
+        columnsEl.appendChild(element);
+
+        column.needsReschedule = needsReschedule;
+        const expertLabel = isMultiColumn ? getColumnLabel(column, index) : null;
+        state.needsReschedule.push(...needsReschedule.map(apt => ({ ...apt, expertLabel })));
+
+        // Store computed values (don't overwrite schedule.appointments)
+        if (isActive) {
+            state.computed.slots = slots;
+            state.computed.appointments = appointments;
+        }
+
+        // Day is full when no column has empty slots AND each has at least one booking
+        isFull = isFull && slots.length === 0 && appointments.length > 0;
+    });
+
+    elements.scheduleBody.appendChild(columnsEl);
+    updateHeaderStatus(isFull);
+    updateSubtitle();
+
+    renderRescheduleSection();
+    renderWaitlist();
+    renderCancelledList();
+    attachDragHandlers();
+    updateHistoryButtons();
+    updateLayoutButtons();
+    restoreRowFocus(hadRowFocus);
+    renderNowIndicator();
+}
+
+/**
+ * Red line at the current time across today's timeline, and late badges on
+ * clients still scheduled after their start; redrawn every minute
+ */
+function renderNowIndicator() {
+    if (!elements.scheduleBody) return;
+    elements.scheduleBody.querySelectorAll('.schedule__now-line, .slot__late-badge').forEach(el => el.remove());
+
+    const now = new Date();
+    if (state.ui.view !== 'day' || state.date !== formatLocalDate(now)) return;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    elements.scheduleBody.querySelectorAll('.schedule__column-body').forEach(body => {
+        const row = [...body.querySelectorAll('.schedule__row')].find(r =>
+            timeToMinutes(r.dataset.start) <= nowMinutes && nowMinutes < timeToMinutes(r.dataset.end));
+        if (!row) return;
+
+        // Same scale as the rows' heights; a row stretched by its content holds the line at its end
+        const offset = Math.min((nowMinutes - timeToMinutes(row.dataset.start)) * PX_PER_MINUTE, row.offsetHeight);
+        const line = document.createElement('div');
+        line.className = 'schedule__now-line no-print';
+        line.style.top = `${row.offsetTop + offset}px`;
+        line.title = t('nowAt', { time: minutesToTime(nowMinutes) });
+        body.appendChild(line);
+    });
+
+    elements.scheduleBody.querySelectorAll('.slot--booked.status--scheduled').forEach(slot => {
+        const minutesLate = nowMinutes - timeToMinutes(slot.dataset.startTime);
+        if (minutesLate <= 0) return;
+
+        slot.querySelector('.slot__client-info')?.insertAdjacentHTML('beforeend', `
+      <span class="slot__late-badge no-print">
+        <span class="material-symbols-outlined">schedule</span>${t('lateBy', { minutes: minutesLate })}
+      </span>
+    `);
+    });
+}
+
+function getColumnLabel(column, index) {
+    return column.expertName || t('expertColumn', { number: index + 1 });
+}
+
+/**
+ * @param {Object|null} previousSchedule - Column's schedule before the latest change
+ */
+function renderColumn(column, index, previousSchedule = null) {
+    const isActive = column.id === state.activeColumnId;
+    const isPreview = isActive && state.ui.previewMode && state.proposed;
+    const displayedSchedule = isPreview ? state.proposed : column.schedule;
+    const baseSchedule = isPreview ? column.schedule : previousSchedule;
+    const { scheduleItems, slots, appointments, needsReschedule } = reflow(displayedSchedule, baseSchedule);
+    const { rules } = getScheduleProfile(displayedSchedule);
+    const violations = {};
+    checkScheduleRules(displayedSchedule, scheduleItems).forEach(violation => {
+        violations[violation.blockId] = violations[violation.blockId] || describeViolation(violation, rules);
+    });
+
+    // In preview, compare against the committed schedule to show old times side by side
+    const committedStarts = {};
+    if (isPreview) {
+        reflow(column.schedule).scheduleItems.forEach(item => {
+            committedStarts[item.id] = item.start;
+        });
+    }
+
+    const element = document.createElement('div');
+    element.className = 'schedule__column';
+    element.classList.toggle('schedule__column--closed', isDayClosed(column.schedule));
+    element.dataset.columnId = column.id;
+
+    if (state.columns.length > 1) {
+        element.classList.toggle('schedule__column--active', isActive);
+
+        const header = document.createElement('div');
+        header.className = 'schedule__column-header';
+        header.innerHTML = `
+      <span class="material-symbols-outlined">person</span>
+      <span class="schedule__column-name">${escapeHtml(getColumnLabel(column, index))}</span>
+    `;
+        element.appendChild(header);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'schedule__column-body';
+
+    scheduleItems.forEach((item) => {
+        const formerStart = committedStarts[item.id];
+        const hasMoved = isPreview && formerStart !== undefined && formerStart !== item.start;
+        const row = createScheduleRow(item, appointments, hasMoved ? formerStart : null, violations[item.id]);
+        body.appendChild(row);
+    });
+
+    element.appendChild(body);
+    return { element, slots, appointments, needsReschedule };
+}
+
+/**
+ * @param {string|null} formerStart - Committed start time when the item moves in preview mode
+ * @param {string} [violation] - Labour rule the item breaks, as a message
+ */
+function createScheduleRow(item, appointments, formerStart = null, violation = null) {
+    const row = document.createElement('div');
+    row.className = 'schedule__row';
+    row.setAttribute('data-item-id', item.id);
+    row.setAttribute('data-item-type', item.type);
+    row.setAttribute('data-block-index', String(item.blockIndex)); // Idle rows share the next block's index
+    row.setAttribute('data-start', item.start);
+    row.setAttribute('data-end', item.end);
+    if (item.type !== 'idle') {
+        row.tabIndex = -1; // Roving focus - see restoreRowFocus()
+        row.setAttribute('aria-label', `${item.start}–${item.end} ${describeRow(item)}`);
+    }
+
+    if (item.type === 'lunch') row.classList.add('schedule__row--lunch');
+    else if (item.type === 'techBreak') row.classList.add('schedule__row--techbreak');
+    else if (item.type === 'bookedAppointment') row.classList.add('schedule__row--booked');
+    else if (item.type === 'idle') row.classList.add('schedule__row--idle');
+    else if (item.type === BLOCK_TYPES.GAP) row.classList.add('schedule__row--gap');
+
+    if (formerStart) row.classList.add('schedule__row--moved');
+    if (violation) row.classList.add('schedule__row--violation');
+
+    const formerStartHtml = formerStart
+        ? `<span class="schedule__time-former" title="${t('formerTime', { time: formerStart })}">${formerStart}</span>`
+        : '';
+    const violationHtml = violation
+        ? `<span class="schedule__rule-warning material-symbols-outlined no-print" title="${violation}">warning</span>`
+        : '';
+
+    const timeCol = document.createElement('div');
+    timeCol.className = 'schedule__time';
+    timeCol.innerHTML = `
+    ${formerStartHtml}${violationHtml}
+    <span class="schedule__time-start">${item.start}</span>
+    <span class="schedule__time-end">${item.end}</span>
+  `;
+
+    const contentCol = document.createElement('div');
+    contentCol.className = 'schedule__content';
+
+    if (item.type === 'lunch') {
+        contentCol.innerHTML = createLunchBlock(item.id, item.duration);
+    } else if (item.type === 'techBreak') {
+        contentCol.innerHTML = createTechBreakBlock(item.id, item.duration);
+    } else if (item.type === 'idle') {
+        contentCol.innerHTML = '<div class="idle-block"></div>';
+    } else if (item.type === BLOCK_TYPES.GAP) {
+        contentCol.innerHTML = createGapBlock(item.id, item.duration);
+    } else if (item.type === 'bookedAppointment' && item.data) {
+        // Booked appointment (time-based block)
+        // Ensure ID is passed!
+        const appointmentData = { ...item.data, id: item.id };
+        contentCol.innerHTML = createBookedSlot(appointmentData, item.start);
+    } else {
+        // Empty slot - pass blockId for booking
+        contentCol.innerHTML = createAvailableSlot(item.start, item.id);
+    }
+
+    // Keep the timeline proportional to time (PRD §5.1)
+    row.style.minHeight = `${durationToPx(item.duration)}px`;
+
+    row.appendChild(timeCol);
+    row.appendChild(contentCol);
+    return row;
+}
+
+function createLunchBlock(id, duration) {
+    return `
+    <div class="lunch-block" data-block-id="${id}">
+      <span class="lunch-block__title" data-i18n="lunch">${t('lunch')}</span>
+      <span class="lunch-block__duration">${t('lunchDuration', { minutes: duration })}</span>
+      <span class="lunch-block__drag-handle material-symbols-outlined">drag_indicator</span>
+    </div>
+  `;
+}
+
+function createTechBreakBlock(breakId, duration) {
+    return `
+    <div class="techbreak-block" data-break-id="${breakId}">
+      <span class="techbreak-block__icon material-symbols-outlined">coffee</span>
+      <span class="techbreak-block__text">${t('techBreak')} (${t('techBreakShort', { minutes: duration })})</span>
+      <button class="techbreak-block__delete-btn no-print" data-break-id="${breakId}" title="${t('delete')}">
+        <span class="material-symbols-outlined">close</span>
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Unavailable time - lengthened or shortened in SNAP_INCREMENT steps
+ */
+function createGapBlock(gapId, duration) {
+    return `
+    <div class="gap-block" data-gap-id="${gapId}">
+      <span class="gap-block__icon material-symbols-outlined">block</span>
+      <span class="gap-block__text">${t('unavailable')} (${t('techBreakShort', { minutes: duration })})</span>
+      <div class="gap-block__controls no-print">
+        <button class="gap-block__btn" data-gap-id="${gapId}" data-gap-step="-1" title="${t('gapShorter', { minutes: SNAP_INCREMENT })}">
+          <span class="material-symbols-outlined">remove</span>
+        </button>
+        <button class="gap-block__btn" data-gap-id="${gapId}" data-gap-step="1" title="${t('gapLonger', { minutes: SNAP_INCREMENT })}">
+          <span class="material-symbols-outlined">add</span>
+        </button>
+        <button class="gap-block__btn gap-block__btn--delete" data-gap-id="${gapId}" title="${t('delete')}">
+          <span class="material-symbols-outlined">close</span>
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function createAvailableSlot(startTime, blockId) {
+    return `
     <div class="slot--available" data-slot-start="${startTime}" data-block-id="${blockId}">
       <span class="slot--available__text">
         <span class="material-symbols-outlined">add_circle</span>
         ${t('available')}
       </span>
+      <button class="slot__delay-btn no-print" data-block-id="${blockId}" title="${t('delayStart', { minutes: SNAP_INCREMENT })}">
+        <span class="material-symbols-outlined">more_time</span>
+      </button>
     </div>
   `;
 }
 
+const STATUS_LABEL_KEYS = { 'checked-in': 'checkedIn', 'in-progress': 'inProgress', 'no-show': 'noShow' };
+
+function getStatusLabel(status) {
+    return t(STATUS_LABEL_KEYS[status] || status);
+}
+
+// When the booking reached each status, e.g. "Check-in às 10:02 · Início às 10:10"
+const STATUS_TIME_KEYS = {
+    checkedInAt: 'statusTimeCheckedIn',
+    startedAt: 'statusTimeStarted',
+    completedAt: 'statusTimeCompleted',
+    noShowAt: 'statusTimeNoShow'
+};
+
+/**
+ * Local "HH:MM" of an ISO timestamp, with the date in front when it is not the day shown
+ */
+function formatStampTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = minutesToTime(date.getHours() * 60 + date.getMinutes());
+    const dateStr = formatLocalDate(date);
+    return dateStr === state.date ? time : `${dateStr.slice(8, 10)}/${dateStr.slice(5, 7)} ${time}`;
+}
+
+function describeStatusTimes(apt) {
+    return Object.values(STATUS_TIMESTAMPS)
+        .filter(field => apt?.[field])
+        .map(field => t(STATUS_TIME_KEYS[field], { time: formatStampTime(apt[field]) }))
+        .join(' · ');
+}
+
+/**
+ * Reason, who and when, e.g. "Pedido do cliente • Farmácia Central • 10:42"
+ */
+function describeCancellation(cancellation) {
+    if (!cancellation?.reason) return t('cancelled');
+    return [t(`cancelReasons.${cancellation.reason}`), cancellation.by?.name, cancellation.at ? formatStampTime(cancellation.at) : null]
+        .filter(Boolean)
+        .join(' • ');
+}
+
+function renderStatusHistory(apt) {
+    const history = Array.isArray(apt?.statusHistory) ? apt.statusHistory : [];
+    return history.map(entry => {
+        const details = [entry.reason ? t(`cancelReasons.${entry.reason}`) : null, entry.by?.name].filter(Boolean).join(' • ');
+        return `
+      <li class="status-history__item">
+        <span class="status-history__time">${formatStampTime(entry.at)}</span>
+        <span class="slot__status slot__status--${entry.status}">${getStatusLabel(entry.status)}</span>
+        ${details ? `<span class="status-history__details">${escapeHtml(details)}</span>` : ''}
+      </li>`;
+    }).join('');
+}
+
 function createBookedSlot(apt, startTime) {
     const statusClass = `status--${apt.status}`;
-    const statusLabel = t(apt.status === 'checked-in' ? 'checkedIn' : apt.status === 'no-show' ? 'noShow' : apt.status);
+    const statusLabel = getStatusLabel(apt.status);
     const contactIcon = apt.contact.includes('@') ? 'mail' : 'call';
     const noteHtml = apt.notes ? `<span class="slot__note">${apt.notes}</span>` : '';
-    const cancelledNote = apt.status === 'cancelled' ? `<span class="slot__cancelled-note">${t('cancelledByClient')}</span>` : '';
+    const service = getService(apt.serviceId);
+    const serviceHtml = service
+        ? `<span class="slot__service" style="--service-color: ${service.color}">${t(service.labelKey)}</span>`
+        : '';
+    const cancelledNote = apt.status === 'cancelled' ? `<span class="slot__cancelled-note">${escapeHtml(describeCancellation(apt.cancellation))}</span>` : '';
+    const isPinned = getFixedStart(apt) !== null;
+    const pinHtml = isPinned
+        ? `<span class="slot__pin ${apt.fixedTime !== startTime ? 'slot__pin--conflict' : ''}">
+            <span class="material-symbols-outlined">push_pin</span>${t('pinnedAt', { time: apt.fixedTime })}
+          </span>`
+        : '';
 
     return `
-    <div class="slot--booked ${statusClass}" data-appointment-id="${apt.id}" data-start-time="${startTime}">
+    <div class="slot--booked ${statusClass} ${isPinned ? 'slot--pinned' : ''}" data-appointment-id="${apt.id}" data-start-time="${startTime}">
       <div class="slot__drag-handle no-print">
         <span class="material-symbols-outlined">drag_indicator</span>
       </div>
@@ -789,6 +1879,8 @@ function createBookedSlot(apt, startTime) {
           <span class="material-symbols-outlined">${contactIcon}</span>
           ${apt.contact}
         </span>
+        ${serviceHtml}
+        ${pinHtml}
         ${cancelledNote}
       </div>
       ${noteHtml}
@@ -808,145 +1900,1462 @@ function renderRescheduleSection() {
         return;
     }
     elements.rescheduleSection?.classList.add('visible');
+    // Trimmed only in the proposal - highlight so they are not applied by accident
+    elements.rescheduleSection?.classList.toggle('reschedule-section--preview', Boolean(state.ui.previewMode));
     if (elements.rescheduleList) {
-        elements.rescheduleList.innerHTML = state.needsReschedule.map(apt => `
+        elements.rescheduleList.innerHTML = state.needsReschedule.map(apt => {
+            const expert = apt.expertLabel ? `${escapeHtml(apt.expertLabel)} • ` : '';
+            const formerTime = apt.formerStart ? `${t('formerTime', { time: apt.formerStart })} • ` : '';
+            return `
       <li class="reschedule-section__item">
-        <span class="reschedule-section__client">${apt.name}</span>
-        <span class="reschedule-section__time">${apt.contact}</span>
+        <span class="reschedule-section__client">${escapeHtml(apt.name)}</span>
+        <span class="reschedule-section__time">${expert}${formerTime}${escapeHtml(apt.contact)}</span>
       </li>
-    `).join('');
+    `;
+        }).join('');
+    }
+}
+
+// ==========================================
+// Drag Handling & Preview
+// ==========================================
+
+function attachDragHandlers() {
+    elements.scheduleBody.querySelectorAll('.schedule__column').forEach(columnEl => {
+        const column = state.columns.find(c => c.id === columnEl.dataset.columnId);
+        if (column) attachColumnDragHandlers(columnEl, column);
+    });
+}
+
+function attachColumnDragHandlers(columnEl, column) {
+    if (isDayClosed(column.schedule)) return; // A closed day's layout is final
+
+    // Get reflowed schedule to know block positions and times
+    const isActive = column.id === state.activeColumnId;
+    const { scheduleItems } = reflow(isActive ? getDisplayedSchedule() : column.schedule);
+
+    // Attach drag handler to lunch block
+    columnEl.querySelectorAll('.lunch-block').forEach(block => {
+        const blockId = block.getAttribute('data-block-id');
+        const lunchItem = scheduleItems.find(item => item.id === blockId);
+        if (lunchItem) {
+            makeDraggable(block, 'lunch', lunchItem.start, blockId, lunchItem.blockIndex);
+        }
+    });
+
+    // Attach drag handlers to unavailable gaps
+    columnEl.querySelectorAll('.gap-block').forEach(block => {
+        const gapId = block.getAttribute('data-gap-id');
+        const gapItem = scheduleItems.find(item => item.id === gapId && item.type === BLOCK_TYPES.GAP);
+        if (gapItem) {
+            makeDraggable(block, 'gap', gapItem.start, gapId, gapItem.blockIndex);
+        }
+    });
+
+    // Attach drag handlers to tech breaks
+    columnEl.querySelectorAll('.techbreak-block').forEach(block => {
+        const breakId = block.getAttribute('data-break-id');
+        const breakItem = scheduleItems.find(item => item.id === breakId && item.type === 'techBreak');
+        if (breakItem) {
+            makeDraggable(block, 'techBreak', breakItem.start, breakId, breakItem.blockIndex);
+        }
+    });
+
+    // Attach drag handlers to booked appointments (fixed-time ones stay put)
+    columnEl.querySelectorAll('.slot--booked:not(.slot--pinned)').forEach(slot => {
+        const appointmentId = slot.dataset.appointmentId;
+        const aptItem = scheduleItems.find(item => item.id === appointmentId);
+        if (aptItem) {
+            makeDraggable(slot, 'appointment', aptItem.start, appointmentId, aptItem.blockIndex);
+        }
+    });
+}
+
+/**
+ * Schedule currently shown on the timeline - the proposal while previewing
+ */
+function getDisplayedSchedule() {
+    return state.ui.previewMode && state.proposed ? state.proposed : state.schedule;
+}
+
+function handleDragEnd(dragResult) {
+    clearDragGhost();
+
+    // Drags apply to the column they started in
+    if (dragResult.columnId) setActiveColumn(dragResult.columnId);
+
+    // Further drags while previewing keep refining the same proposal
+    const baseSchedule = getDisplayedSchedule();
+    let proposed = null;
+
+    // dragResult now contains: type, blockId, fromIndex, toIndex (position-based)
+    // and, for appointments dropped on a slot, targetBlockId
+    if (dragResult.type === 'appointment' && dragResult.targetBlockId) {
+        proposed = getAppointmentDrop(baseSchedule, dragResult);
+    } else if (dragResult.toIndex !== undefined && dragResult.fromIndex !== undefined) {
+        // Position-based move
+        proposed = moveBlock(baseSchedule, dragResult.fromIndex, dragResult.toIndex);
+    } else if (dragResult.type === 'lunch') {
+        // Legacy time-based (fallback)
+        proposed = moveLunch(baseSchedule, dragResult.toIndex || 0);
+    } else if (dragResult.type === 'techBreak') {
+        proposed = moveTechBreak(baseSchedule, dragResult.breakId, dragResult.toIndex || 0);
+    }
+
+    if (!proposed) return;
+
+    const brokenPin = getBrokenPin(baseSchedule, proposed);
+    if (brokenPin) {
+        showToast(t('pinConflict', { time: brokenPin }), 'warning');
+        renderSchedule(); // Drop the drag's visual offset
+        return;
+    }
+
+    enterPreview(proposed);
+    if (dragResult.isKeyboard) announce(elements.previewMessage?.textContent || t('reviewChanges'));
+}
+
+/**
+ * Fixed time a change would break, if any (pins already broken before it are ignored)
+ * @returns {string|null} The fixed time, e.g. "10:30"
+ */
+function getBrokenPin(current, proposed) {
+    const alreadyBroken = new Set(reflow(current).pinConflicts.map(conflict => conflict.id));
+    return reflow(proposed).pinConflicts.find(conflict => !alreadyBroken.has(conflict.id))?.fixedTime || null;
+}
+
+function handleDragCancel() {
+    clearDragGhost();
+    announce(t('grabCancelled'));
+}
+
+/**
+ * Appointment dropped on a slot: moves to a free one, swaps with a booked one
+ * Only the clients involved change places - other blocks stay where they are
+ */
+function getAppointmentDrop(schedule, { blockId, targetBlockId, isSwap }) {
+    return isSwap
+        ? swapAppointments(schedule, blockId, targetBlockId)
+        : moveAppointment(schedule, blockId, targetBlockId);
+}
+
+function handleDragUpdate(dragData) {
+    const columnId = dragData.columnId || state.activeColumnId;
+    const column = state.columns.find(c => c.id === columnId);
+    const baseSchedule = column?.id === state.activeColumnId ? getDisplayedSchedule() : column?.schedule;
+    if (!baseSchedule) return;
+
+    updateDragGhost(column, baseSchedule, dragData);
+    if (!dragData.isKeyboard) return;
+
+    // Announce where the grabbed block would start if dropped here
+    if (dragData.targetBlockId) {
+        const target = reflow(baseSchedule).scheduleItems.find(i => i.id === dragData.targetBlockId);
+        announce(dragData.isSwap
+            ? t('dropSwapWith', { name: target?.data?.name || '', time: target?.start || '' })
+            : t('dropMoveTo', { time: target?.start || '' }));
+        return;
+    }
+
+    const proposed = moveBlock(baseSchedule, dragData.fromIndex, dragData.currentIndex);
+    const item = reflow(proposed).scheduleItems.find(i => i.id === dragData.blockId);
+    announce(item ? t('grabMovedTo', { time: item.start }) : t('grabPastDayEnd'));
+}
+
+// ==========================================
+// Drop Ghost
+// ==========================================
+
+let dragGhostKey = null; // Last drop position shown, so a reflow runs only when it changes
+
+/**
+ * Dry-run the drop under the pointer: a placeholder where the block lands and the
+ * times every row would get, in a warning colour if bookings would pass day end
+ */
+function updateDragGhost(column, baseSchedule, dragData) {
+    const key = `${column.id}:${dragData.fromIndex}:${dragData.currentIndex}:${dragData.targetBlockId || ''}`;
+    if (key === dragGhostKey) return;
+    clearDragGhost();
+    dragGhostKey = key;
+
+    const columnBody = elements.scheduleBody?.querySelector(`.schedule__column[data-column-id="${column.id}"] .schedule__column-body`);
+    if (!columnBody) return;
+
+    const proposed = dragData.type === 'appointment' && dragData.targetBlockId
+        ? getAppointmentDrop(baseSchedule, dragData)
+        : moveBlock(baseSchedule, dragData.fromIndex, dragData.currentIndex);
+    const { scheduleItems, needsReschedule } = reflow(proposed);
+    const proposedItems = new Map(scheduleItems.map(item => [item.id, item]));
+    const trimmedIds = new Set(needsReschedule.map(apt => apt.id));
+    const isOverflow = needsReschedule.length > reflow(baseSchedule).needsReschedule.length;
+
+    columnBody.classList.toggle('schedule__column-body--overflow', isOverflow);
+
+    // Times every displaced row would get
+    columnBody.querySelectorAll('.schedule__row').forEach(row => {
+        const startEl = row.querySelector('.schedule__time-start');
+        const endEl = row.querySelector('.schedule__time-end');
+        if (!startEl || !endEl) return;
+
+        const item = proposedItems.get(row.dataset.itemId);
+        row.classList.toggle('schedule__row--would-trim', trimmedIds.has(row.dataset.itemId));
+        if (!item || item.start === startEl.textContent) return;
+
+        row.dataset.ghostStart = startEl.textContent;
+        row.dataset.ghostEnd = endEl.textContent;
+        startEl.textContent = item.start;
+        endEl.textContent = item.end;
+        row.classList.add('schedule__row--ghost-time');
+    });
+
+    // Placeholder at the landing position (appointments dropped on a slot are highlighted instead)
+    if (dragData.targetBlockId || dragData.currentIndex === dragData.fromIndex) return;
+    const movedItem = proposedItems.get(dragData.blockId);
+    const targetRow = [...columnBody.querySelectorAll('.schedule__row')]
+        .find(row => Number(row.dataset.blockIndex) === dragData.currentIndex && row.dataset.itemType !== 'idle');
+    if (!targetRow) return;
+
+    const ghost = document.createElement('div');
+    ghost.className = 'schedule__ghost';
+    ghost.classList.toggle('schedule__ghost--overflow', isOverflow || !movedItem);
+    ghost.style.top = `${targetRow.offsetTop}px`;
+    ghost.style.height = `${targetRow.offsetHeight}px`;
+    ghost.textContent = movedItem ? `${movedItem.start}–${movedItem.end}` : t('grabPastDayEnd');
+    columnBody.appendChild(ghost);
+}
+
+function clearDragGhost() {
+    dragGhostKey = null;
+    if (!elements.scheduleBody) return;
+
+    elements.scheduleBody.querySelectorAll('.schedule__ghost').forEach(ghost => ghost.remove());
+    elements.scheduleBody.querySelectorAll('.schedule__column-body--overflow').forEach(body => {
+        body.classList.remove('schedule__column-body--overflow');
+    });
+    elements.scheduleBody.querySelectorAll('.schedule__row--would-trim').forEach(row => {
+        row.classList.remove('schedule__row--would-trim');
+    });
+    elements.scheduleBody.querySelectorAll('.schedule__row--ghost-time').forEach(row => {
+        row.querySelector('.schedule__time-start').textContent = row.dataset.ghostStart;
+        row.querySelector('.schedule__time-end').textContent = row.dataset.ghostEnd;
+        delete row.dataset.ghostStart;
+        delete row.dataset.ghostEnd;
+        row.classList.remove('schedule__row--ghost-time');
+    });
+}
+
+// ==========================================
+// Labour Rules
+// ==========================================
+
+function describeViolation(violation, rules) {
+    switch (violation.rule) {
+        case 'lunchWindow':
+            return t('ruleLunchWindow', { from: rules.lunchWindowStart, to: rules.lunchWindowEnd });
+        case 'maxConsecutive':
+            return t('ruleMaxConsecutive', { count: rules.maxConsecutiveSessions });
+        case 'minBetweenSessions':
+            return t('ruleMinBetween', { minutes: rules.minMinutesBetweenSessions });
+        default:
+            return violation.rule;
+    }
+}
+
+/**
+ * Warn about a rule a change would break; with blockSave on, the change is refused
+ * Rules already broken before the change are not reported again
+ * @returns {boolean} Whether the change may go ahead
+ */
+function checkRuleChange(current, proposed) {
+    const key = violation => `${violation.rule}:${violation.blockId}`;
+    const existing = new Set(checkScheduleRules(current).map(key));
+    const violation = checkScheduleRules(proposed).find(v => !existing.has(key(v)));
+    if (!violation) return true;
+
+    const { rules } = getScheduleProfile(proposed);
+    const message = describeViolation(violation, rules);
+    showToast(rules.blockSave ? t('ruleBlocked', { rule: message }) : message, 'warning', 5000);
+    return !rules.blockSave;
+}
+
+// ==========================================
+// Preview → Apply (PRD §5.6)
+// ==========================================
+
+/**
+ * Show a proposed schedule without committing it
+ * Nothing is saved until the user applies the changes
+ */
+function enterPreview(proposed) {
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        renderSchedule();
+        return;
+    }
+
+    // Further drags refine the same proposal, still made from the copy the first one started from
+    if (!state.ui.previewMode) state.proposedBase = getActiveColumn()?.base || null;
+    state.proposed = proposed;
+    state.ui.previewMode = true;
+
+    renderSchedule();
+    updatePreviewBar();
+}
+
+function updatePreviewBar() {
+    const isPreview = state.ui.previewMode && state.proposed;
+    elements.previewBar?.classList.toggle('visible', Boolean(isPreview));
+    updateLayoutButtons();
+    updateHistoryButtons();
+    if (!isPreview || !elements.previewMessage) return;
+
+    // Earliest time affected by the proposal
+    const committedStarts = {};
+    reflow(state.schedule).scheduleItems.forEach(item => {
+        committedStarts[item.id] = item.start;
+    });
+    const changedStarts = reflow(state.proposed).scheduleItems
+        .filter(item => committedStarts[item.id] !== item.start)
+        .map(item => item.start)
+        .sort();
+
+    const firstChange = changedStarts[0] ? ` ${changedStarts[0]}.` : '';
+    const trimmedCount = getActiveColumn()?.needsReschedule.length || 0;
+    const trimmedNote = trimmedCount > 0
+        ? ` ${t('trimmedInPreview', { count: trimmedCount })}`
+        : '';
+    elements.previewMessage.textContent = `${t('reviewChanges')}${firstChange}${trimmedNote}`;
+}
+
+/**
+ * Layout actions are off while previewing and once the day is closed
+ */
+function updateLayoutButtons() {
+    const isLocked = Boolean(state.ui.previewMode && state.proposed) || isDayClosed(state.schedule);
+    elements.addTechBreakBtn?.toggleAttribute('disabled', isLocked);
+    elements.autoArrangeBtn?.toggleAttribute('disabled', isLocked);
+    elements.layoutBtn?.toggleAttribute('disabled', isLocked);
+    updateCloseDayButton();
+}
+
+function applyPreview() {
+    if (!state.ui.previewMode || !state.proposed) return;
+    if (!checkRuleChange(state.schedule, state.proposed)) return;
+
+    // Checked against the copy the proposal was made from, so changes that arrived
+    // from elsewhere while previewing are merged in rather than overwritten
+    const base = state.proposedBase;
+    const previousSchedule = state.schedule;
+    setSchedule(state.proposed);
+    saveClientLink(state.proposedClient);
+    state.proposed = null;
+    state.proposedBase = null;
+    state.proposedClient = null;
+    state.ui.previewMode = false;
+
+    renderSchedule(previousSchedule);
+    updatePreviewBar();
+    saveScheduleToFirebase({ base });
+}
+
+function cancelPreview() {
+    if (!state.ui.previewMode) return;
+
+    state.proposed = null;
+    state.proposedBase = null;
+    state.proposedClient = null;
+    state.ui.previewMode = false;
+
+    renderSchedule();
+    updatePreviewBar();
+}
+
+/**
+ * Apply a layout change made outside dragging (breaks, gaps)
+ * Changes that push bookings past day end go through preview first
+ */
+function commitLayoutChange(proposed) {
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+
+    const brokenPin = getBrokenPin(state.schedule, proposed);
+    if (brokenPin) {
+        showToast(t('pinConflict', { time: brokenPin }), 'warning');
+        return;
+    }
+
+    if (reflow(proposed).needsReschedule.length > reflow(state.schedule).needsReschedule.length) {
+        enterPreview(proposed);
+        return;
+    }
+
+    if (!checkRuleChange(state.schedule, proposed)) return;
+    setSchedule(proposed);
+    renderSchedule();
+    saveScheduleToFirebase();
+}
+
+/**
+ * Propose the best lunch and tech-break positions for today's bookings
+ */
+function handleAutoArrange() {
+    if (state.ui.previewMode) return;
+
+    const proposed = arrangeDay(state.schedule);
+    if (!proposed) {
+        showToast(t('autoArrangeNoChange'), 'info');
+        return;
+    }
+    enterPreview(proposed);
+}
+
+// ==========================================
+// Day Layouts
+// ==========================================
+
+let layoutTemplates = null; // Loaded once, when the layout picker first opens
+
+async function openLayoutModal() {
+    if (state.ui.previewMode || !elements.layoutModal) return;
+
+    if (elements.layoutCopyDate) elements.layoutCopyDate.value = '';
+    if (elements.layoutTemplateList) elements.layoutTemplateList.innerHTML = `<p class="overview__message">${t('overviewLoading')}</p>`;
+    elements.layoutModal.classList.remove('hidden');
+
+    try {
+        if (!layoutTemplates) {
+            layoutTemplates = await loadLayoutTemplates();
+            cacheDocument(TEMPLATES_COLLECTION, layoutTemplates);
+        }
+    } catch (error) {
+        console.warn('Templates unavailable, using offline copy:', error);
+        layoutTemplates = await getCachedDocument(TEMPLATES_COLLECTION);
+    }
+    renderLayoutTemplates();
+}
+
+function renderLayoutTemplates() {
+    if (!elements.layoutTemplateList) return;
+    const templates = layoutTemplates || [];
+
+    elements.layoutTemplateList.innerHTML = templates.length === 0
+        ? `<p class="client-history__empty">${t('layoutNoTemplates')}</p>`
+        : templates.map(template => `
+      <button class="layout-template" type="button" data-template-id="${template.id}">
+        <span class="layout-template__name">${escapeHtml(template.name)}</span>
+        <span class="layout-template__summary">${describeLayout(applyLayout(createDefaultSchedule(state.profile), template.blocks).blocks, state.profile)}</span>
+      </button>`).join('');
+}
+
+function closeLayoutModal() {
+    elements.layoutModal?.classList.add('hidden');
+}
+
+/**
+ * Lay the day out like a template or another day - bookings stay on their slots
+ * An empty day changes at once; with bookings the new times are shown for review first
+ */
+function applyDayLayout(layout) {
+    const proposed = applyLayout(state.schedule, layout);
+    closeLayoutModal();
+
+    const { appointments, needsReschedule } = reflow(state.schedule);
+    if (appointments.length + needsReschedule.length === 0) {
+        commitLayoutChange(proposed);
+        return;
+    }
+
+    const brokenPin = getBrokenPin(state.schedule, proposed);
+    if (brokenPin) {
+        showToast(t('pinConflict', { time: brokenPin }), 'warning');
+        return;
+    }
+    enterPreview(proposed);
+}
+
+function handleApplyTemplate(templateId) {
+    const template = (layoutTemplates || []).find(item => item.id === templateId);
+    if (template) applyDayLayout(template.blocks);
+}
+
+/**
+ * Copy the block order of the same expert's (or the first) schedule on another date
+ */
+async function handleCopyLayout() {
+    const dateStr = elements.layoutCopyDate?.value;
+    if (!dateStr || dateStr === state.date || state.ui.previewMode) return;
+
+    const expertId = getActiveColumn()?.expertId;
+    const columns = await buildDayColumns(dateStr);
+    const source = columns.find(column => column.expertId && column.expertId === expertId) || columns[0];
+    const data = await readDocument(`schedules/${source.id}`);
+    if (elements.layoutModal?.classList.contains('hidden')) return; // Closed while loading
+    if (!data) {
+        showToast(t('layoutCopyNoSchedule', { date: formatLongDate(dateStr) }), 'warning');
+        return;
+    }
+
+    const schedule = withProfile(data, source.profile);
+    reflow(schedule); // Repairs stored blocks (a missing or duplicated lunch)
+    applyDayLayout(getLayout(schedule));
+}
+
+// ==========================================
+// Keyboard Navigation
+// ==========================================
+
+function describeRow(item) {
+    switch (item.type) {
+        case 'bookedAppointment': return item.data?.name || '';
+        case BLOCK_TYPES.LUNCH: return t('lunch');
+        case BLOCK_TYPES.TECH_BREAK: return t('techBreak');
+        case BLOCK_TYPES.GAP: return t('unavailable');
+        default: return t('available');
+    }
+}
+
+/**
+ * Speak a message through the timeline's live region
+ */
+function announce(message) {
+    if (!elements.timelineAnnouncer) return;
+    elements.timelineAnnouncer.textContent = '';
+    // Set on the next frame so repeating the same text is announced again
+    requestAnimationFrame(() => { elements.timelineAnnouncer.textContent = message; });
+}
+
+/**
+ * Keep one focusable row per timeline (the last focused, else the first), refocusing it after a re-render
+ */
+function restoreRowFocus(shouldFocus) {
+    const rows = [...elements.scheduleBody.querySelectorAll('.schedule__row[tabindex]')];
+    if (rows.length === 0) return;
+
+    const row = rows.find(r => r.dataset.itemId === state.ui.focusedRowId) ||
+        rows.find(r => r.closest('.schedule__column')?.dataset.columnId === state.activeColumnId) ||
+        rows[0];
+    row.tabIndex = 0;
+    if (shouldFocus) row.focus({ preventScroll: true });
+}
+
+function focusRow(row) {
+    if (!row) return;
+    elements.scheduleBody.querySelectorAll('.schedule__row[tabindex="0"]').forEach(r => { r.tabIndex = -1; });
+    row.tabIndex = 0;
+    row.focus();
+}
+
+/**
+ * Arrow keys move between rows (left/right between expert columns), Enter opens
+ * the drawer for a slot and Space picks a block up to move it
+ */
+function handleRowKeyDown(e) {
+    const row = e.target.closest('.schedule__row');
+    if (!row || e.target !== row || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const columnEl = row.closest('.schedule__column');
+    const columnRows = [...columnEl.querySelectorAll('.schedule__row[tabindex]')];
+    const index = columnRows.indexOf(row);
+
+    switch (e.key) {
+        case 'ArrowDown':
+            focusRow(columnRows[index + 1]);
+            break;
+        case 'ArrowUp':
+            focusRow(columnRows[index - 1]);
+            break;
+        case 'Home':
+            focusRow(columnRows[0]);
+            break;
+        case 'End':
+            focusRow(columnRows[columnRows.length - 1]);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const adjacent = e.key === 'ArrowLeft' ? columnEl.previousElementSibling : columnEl.nextElementSibling;
+            const adjacentRows = [...(adjacent?.querySelectorAll('.schedule__row[tabindex]') || [])];
+            focusRow(adjacentRows[Math.min(index, adjacentRows.length - 1)]);
+            break;
+        }
+        case 'Enter':
+            // Same as clicking the slot
+            row.querySelector('.slot--booked, .slot--available')?.click();
+            break;
+        case ' ':
+            grabRow(row, columnEl);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+function grabRow(row, columnEl) {
+    if (state.ui.previewMode && columnEl.dataset.columnId !== state.activeColumnId) return;
+    if (columnEl.classList.contains('schedule__column--closed')) {
+        announce(t('dayClosedLocked'));
+        return;
+    }
+
+    const draggable = row.querySelector('[data-draggable]');
+    if (!draggable) {
+        if (row.querySelector('.slot--pinned')) announce(t('pinnedCannotMove'));
+        return;
+    }
+
+    if (startKeyboardGrab(draggable)) {
+        announce(t('grabStarted', { time: row.querySelector('.schedule__time-start')?.textContent || '' }));
+    }
+}
+
+// ==========================================
+// Undo / Redo
+// ==========================================
+
+function getHistoryKey(column) {
+    return `schedules/${column.id}`;
+}
+
+function updateHistoryButtons() {
+    const column = getActiveColumn();
+    const isBlocked = !column || state.ui.previewMode || isDayClosed(column.schedule);
+    elements.undoBtn?.toggleAttribute('disabled', isBlocked || !canUndo(getHistoryKey(column)));
+    elements.redoBtn?.toggleAttribute('disabled', isBlocked || !canRedo(getHistoryKey(column)));
+}
+
+/**
+ * Step the active column back (undo) or forward (redo) through its edits
+ * Edits made elsewhere since are kept
+ */
+function handleHistoryStep(isRedo) {
+    const column = getActiveColumn();
+    if (!column || state.ui.previewMode || state.ui.drawerOpen || isDayClosed(column.schedule)) return;
+
+    const key = getHistoryKey(column);
+    const restored = isRedo ? redoEdit(key, state.schedule) : undoEdit(key, state.schedule);
+    if (!restored) return;
+
+    const previousSchedule = state.schedule;
+    setSchedule(withProfile(restored, column.profile));
+    renderSchedule(previousSchedule);
+    saveScheduleToFirebase({ isHistoryStep: true });
+    showToast(t(isRedo ? 'redoDone' : 'undoDone'), 'info');
+}
+
+// ==========================================
+// Drawer (Edit Panel)
+// ==========================================
+
+function openDrawer(blockId, startTime) {
+    const apt = blockId ? getAppointmentById(state.schedule, blockId) : null;
+
+    // A closed day takes no new bookings; its bookings only take notes
+    const isClosed = isDayClosed(state.schedule);
+    if (isClosed && !apt?.isBooked) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+
+    state.ui.selectedSlotId = blockId; // Block ID for new or existing
+    state.ui.selectedTime = startTime;
+    state.ui.drawerOpen = true;
+
+    if (elements.clientName) elements.clientName.value = apt?.name || '';
+    if (elements.clientContact) elements.clientContact.value = apt?.contact || '';
+    if (elements.clientNotes) elements.clientNotes.value = apt?.notes || '';
+    if (elements.clientFixedTime) elements.clientFixedTime.checked = getFixedStart(apt) !== null;
+    if (elements.clientFixedTimeLabel) {
+        elements.clientFixedTimeLabel.textContent = t('fixedTimeAt', { time: apt?.fixedTime || startTime });
+    }
+    renderServiceOptions(apt?.serviceId || '');
+    setDrawerClient(apt?.clientId || null);
+    elements.moveDayBtn?.classList.toggle('hidden', !apt?.isBooked || isClosed);
+    elements.cancelAppointmentBtn?.classList.toggle('hidden', !apt?.isBooked || apt.status === 'cancelled' || isClosed);
+    hideClientSuggestions();
+
+    elements.drawerLockedHint?.classList.toggle('hidden', !isClosed);
+    [elements.clientName, elements.clientContact, elements.clientService, elements.clientFixedTime,
+        ...(elements.statusButtons?.querySelectorAll('.status-btn') || [])]
+        .forEach(control => control?.toggleAttribute('disabled', isClosed));
+
+    const status = apt?.status || 'scheduled';
+    elements.statusButtons?.querySelectorAll('.status-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.status === status);
+    });
+    if (elements.statusTimes) {
+        elements.statusTimes.textContent = describeStatusTimes(apt);
+        elements.statusTimes.classList.toggle('hidden', !elements.statusTimes.textContent);
+    }
+    if (elements.statusHistory) {
+        const historyHtml = renderStatusHistory(apt);
+        elements.statusHistory.querySelector('ol').innerHTML = historyHtml;
+        elements.statusHistory.classList.toggle('hidden', !historyHtml);
+        elements.statusHistory.open = false;
+    }
+
+    elements.drawer?.classList.add('open');
+    elements.mainContent?.classList.add('drawer-open');
+}
+
+/**
+ * Fill a service picker - the empty option keeps the profile's slot length
+ * @param {string} selectedId - Service to select
+ * @param {HTMLSelectElement} [select] - Picker to fill (the drawer's by default)
+ */
+function renderServiceOptions(selectedId, select = elements.clientService) {
+    if (!select) return;
+
+    const standardOption = `<option value="">${t('standardSession', { minutes: state.profile.slotDuration })}</option>`;
+    const serviceOptions = SERVICES.map(service => {
+        const label = t('serviceOption', {
+            name: t(service.labelKey),
+            minutes: service.duration,
+            price: formatServicePrice(service.price, getLanguage())
+        });
+        return `<option value="${service.id}">${label}</option>`;
+    }).join('');
+
+    select.innerHTML = standardOption + serviceOptions;
+    select.value = getService(selectedId) ? selectedId : '';
+}
+
+function closeDrawer() {
+    state.ui.selectedSlotId = null;
+    state.ui.selectedTime = null;
+    state.ui.drawerOpen = false;
+    hideClientSuggestions();
+    elements.drawer?.classList.remove('open');
+    elements.mainContent?.classList.remove('drawer-open');
+
+    // Back to the timeline row the drawer was opened from
+    if (elements.drawer?.contains(document.activeElement)) {
+        elements.scheduleBody?.querySelector('.schedule__row[tabindex="0"]')?.focus({ preventScroll: true });
+    }
+}
+
+function saveSlot() {
+    const startTime = state.ui.selectedTime;
+    const blockId = state.ui.selectedSlotId;
+    if (!startTime || !blockId) return;
+
+    const name = elements.clientName?.value.trim() || '';
+    const contact = elements.clientContact?.value.trim() || '';
+    const notes = elements.clientNotes?.value.trim() || '';
+    const currentApt = getAppointmentById(state.schedule, blockId);
+
+    // The close-out stands - only the notes of a closed day's bookings change
+    if (isDayClosed(state.schedule)) {
+        if (currentApt?.isBooked && notes !== (currentApt.notes || '')) {
+            setSchedule({ ...state.schedule, appointments: { ...state.schedule.appointments, [blockId]: { ...currentApt, notes } } });
+            saveScheduleToFirebase();
+        }
+        closeDrawer();
+        renderSchedule();
+        return;
+    }
+    // No status button stands for "cancelled" - a cancelled booking stays cancelled unless one is picked
+    const activeStatusBtn = elements.statusButtons?.querySelector('.status-btn.active');
+    const status = activeStatusBtn?.dataset.status || (currentApt?.status === 'cancelled' ? 'cancelled' : 'scheduled');
+    const service = getService(elements.clientService?.value);
+    const serviceId = service?.id || null;
+    const duration = service?.duration || null; // Kept on the booking so catalogue edits don't move past days
+    const fixedTime = elements.clientFixedTime?.checked ? currentApt?.fixedTime || startTime : null;
+
+    const isClearing = !name && Boolean(currentApt?.isBooked);
+    if (!name && blockId) {
+        // Clear existing appointment if name is empty
+        setSchedule(clearAppointment(state.schedule, blockId));
+    } else if (name && blockId) {
+        // Saved only once the booking is - a refused or previewed one leaves the client list alone
+        const clientLink = getClientLink(name, contact, state.ui.selectedClientId);
+        const clientId = clientLink?.client.id || null;
+
+        // Book or update appointment using blockId
+        const details = {
+            name, contact, notes, status, serviceId, duration, clientId, fixedTime,
+            ...getStatusTimestamps(currentApt, status),
+            statusHistory: appendStatusHistory(currentApt, status, { by: getChangeAuthor() })
+        };
+        if (status === 'cancelled' && currentApt?.cancellation) details.cancellation = currentApt.cancellation;
+        const proposed = bookAppointment(state.schedule, blockId, details);
+
+        // e.g. a longer service running into the next fixed-time booking
+        const brokenPin = getBrokenPin(state.schedule, proposed);
+        if (brokenPin) {
+            showToast(t('pinConflict', { time: brokenPin }), 'warning');
+            return;
+        }
+
+        // A longer service that pushes bookings past day end must be reviewed first
+        if (reflow(proposed).needsReschedule.length > reflow(state.schedule).needsReschedule.length) {
+            closeDrawer();
+            enterPreview(proposed);
+            if (state.proposed === proposed) state.proposedClient = clientLink;
+            return;
+        }
+
+        if (!checkRuleChange(state.schedule, proposed)) return;
+        setSchedule(proposed);
+        saveClientLink(clientLink);
+    }
+
+    closeDrawer();
+    renderSchedule();
+    saveScheduleToFirebase();
+    if (isClearing) offerWaitlist(blockId);
+}
+
+function clearSlot() {
+    const appointmentId = state.ui.selectedSlotId;
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+    if (appointmentId) {
+        setSchedule(clearAppointment(state.schedule, appointmentId));
+        closeDrawer();
+        renderSchedule();
+        saveScheduleToFirebase();
+        offerWaitlist(appointmentId);
+    }
+}
+
+// ==========================================
+// Clients
+// ==========================================
+
+/**
+ * Client record a booking links to (picked, matching, or new) - nothing is saved yet
+ * @returns {{pharmacyId: string, client: Object}|null} null without a pharmacy to keep records for
+ */
+function getClientLink(name, contact, pickedId = null) {
+    const pharmacyId = getActiveColumn()?.pharmacyId || getSession()?.pharmacyId || null;
+    if (!pharmacyId) return null;
+
+    const clientId = pickedId || findMatchingClient(name, contact)?.id || createClientId();
+    return { pharmacyId, client: { id: clientId, name, contact } };
+}
+
+/**
+ * Save the client record of a booking that was committed
+ */
+function saveClientLink(link) {
+    if (!link) return;
+    saveClient(link.pharmacyId, link.client)
+        .catch(error => console.error('Error saving client:', error));
+}
+
+/**
+ * Link a committed booking to a client record (picked, matching, or new)
+ * @returns {string|null} Client ID, or null without a pharmacy to keep records for
+ */
+function linkClient(name, contact, pickedId = null) {
+    const link = getClientLink(name, contact, pickedId);
+    saveClientLink(link);
+    return link?.client.id || null;
+}
+
+/**
+ * Link the drawer to a client record (null for a new or unlinked client)
+ */
+function setDrawerClient(clientId) {
+    state.ui.selectedClientId = clientId;
+    elements.clientLinked?.classList.toggle('hidden', !clientId);
+}
+
+function renderClientSuggestions() {
+    const matches = searchClients(elements.clientName?.value || '');
+    if (!elements.clientSuggestions || matches.length === 0) {
+        hideClientSuggestions();
+        return;
+    }
+
+    elements.clientSuggestions.innerHTML = matches.map((client, index) => `
+      <li class="client-suggestions__item${index === 0 ? ' active' : ''}" role="option" data-client-id="${escapeHtml(client.id)}">
+        <span class="client-suggestions__name">${escapeHtml(client.name)}</span>
+        <span class="client-suggestions__contact">${escapeHtml(client.contact)}</span>
+      </li>
+    `).join('');
+    elements.clientSuggestions.classList.remove('hidden');
+    elements.clientName?.setAttribute('aria-expanded', 'true');
+}
+
+function hideClientSuggestions() {
+    elements.clientSuggestions?.classList.add('hidden');
+    elements.clientName?.setAttribute('aria-expanded', 'false');
+}
+
+function pickClient(clientId) {
+    const client = getClient(clientId);
+    if (!client) return;
+
+    if (elements.clientName) elements.clientName.value = client.name;
+    if (elements.clientContact) elements.clientContact.value = client.contact || '';
+    setDrawerClient(client.id);
+    hideClientSuggestions();
+}
+
+/**
+ * Arrow keys move through suggestions, Enter picks the highlighted one
+ */
+function handleClientSuggestionKeys(e) {
+    if (elements.clientSuggestions?.classList.contains('hidden')) return;
+
+    const items = Array.from(elements.clientSuggestions.querySelectorAll('.client-suggestions__item'));
+    const current = items.findIndex(item => item.classList.contains('active'));
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const next = (current + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+        items.forEach((item, index) => item.classList.toggle('active', index === next));
+    } else if (e.key === 'Enter' && current >= 0) {
+        e.preventDefault();
+        pickClient(items[current].dataset.clientId);
+    } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        hideClientSuggestions();
+    }
+}
+
+async function openClientHistory() {
+    const clientId = state.ui.selectedClientId;
+    const pharmacyId = getActiveColumn()?.pharmacyId || getSession()?.pharmacyId;
+    if (!clientId || !pharmacyId || !elements.clientModal) return;
+
+    const client = getClient(clientId);
+    if (elements.clientModalName) elements.clientModalName.textContent = client?.name || elements.clientName?.value || '';
+    if (elements.clientModalContact) elements.clientModalContact.textContent = client?.contact || elements.clientContact?.value || '';
+    if (elements.clientModalBody) elements.clientModalBody.innerHTML = `<p class="overview__message">${t('overviewLoading')}</p>`;
+    elements.clientModal.classList.remove('hidden');
+
+    try {
+        const entries = await getClientAppointments(pharmacyId, clientId);
+        const todayStr = formatLocalDate(new Date());
+        const upcoming = entries.filter(entry => entry.date >= todayStr);
+        const past = entries.filter(entry => entry.date < todayStr).reverse();
+
+        if (elements.clientModalBody) {
+            elements.clientModalBody.innerHTML = renderHistorySection(t('upcomingAppointments'), upcoming) +
+                renderHistorySection(t('pastAppointments'), past);
+        }
+    } catch (error) {
+        console.error('Error loading client history:', error);
+        if (elements.clientModalBody) elements.clientModalBody.innerHTML = `<p class="overview__message">${t('unknownError')}</p>`;
     }
 }
 
+function renderHistorySection(title, entries) {
+    const items = entries.length === 0
+        ? `<li class="client-history__empty">${t('noClientAppointments')}</li>`
+        : entries.map(entry => {
+            const service = getService(entry.serviceId);
+            const details = [
+                entry.needsReschedule ? t('historyNeedsReschedule') : entry.time,
+                service ? t(service.labelKey) : null,
+                entry.expertName || null
+            ].filter(Boolean).join(' • ');
+
+            return `
+        <li class="client-history__item" data-date="${escapeHtml(entry.date)}">
+          <div>
+            <span class="client-history__date">${escapeHtml(formatLongDate(entry.date))}</span>
+            <span class="client-history__details">${escapeHtml(details)}</span>
+            ${entry.notes ? `<span class="client-history__notes">${escapeHtml(entry.notes)}</span>` : ''}
+          </div>
+          <span class="slot__status slot__status--${escapeHtml(entry.status)}">${escapeHtml(getStatusLabel(entry.status))}</span>
+        </li>`;
+        }).join('');
+
+    return `
+      <h4 class="client-history__title">${title}</h4>
+      <ul class="client-history">${items}</ul>
+    `;
+}
+
+function closeClientHistory() {
+    elements.clientModal?.classList.add('hidden');
+}
+
 // ==========================================
-// Drag Handling & Preview
+// Move to Another Day
 // ==========================================
 
-function attachDragHandlers() {
-    // Get reflowed schedule to know block positions and times
-    const { scheduleItems } = reflow(state.schedule);
+const MOVE_DAY_MONTHS = 2; // This month and the next
 
-    // Attach drag handler to lunch block
-    // Attach drag handler to lunch block
-    document.querySelectorAll('.lunch-block').forEach(block => {
-        const blockId = block.getAttribute('data-block-id');
-        const lunchItem = scheduleItems.find(item => item.id === blockId);
-        if (lunchItem) {
-            makeDraggable(block, 'lunch', lunchItem.start, blockId, lunchItem.blockIndex);
-        }
-    });
+// Columns of each date listed in the move picker, kept for the move itself
+let moveDayColumns = new Map();
+let moveDayRequest = 0; // Bumped on every picker load so superseded results are dropped
 
-    // Attach drag handlers to tech breaks
-    document.querySelectorAll('.techbreak-block').forEach(block => {
-        const breakId = block.getAttribute('data-break-id');
-        const breakItem = scheduleItems.find(item => item.id === breakId && item.type === 'techBreak');
-        if (breakItem) {
-            makeDraggable(block, 'techBreak', breakItem.start, breakId, breakItem.blockIndex);
-        }
+/**
+ * Whether a new booking in a schedule keeps every other booking where it was
+ * (and, where the rules block saving, breaks no new rule)
+ */
+function acceptsBooking(before, after) {
+    if (isDayClosed(before)) return false;
+
+    const was = reflow(before);
+    const now = reflow(after);
+    if (now.needsReschedule.length > was.needsReschedule.length) return false;
+    if (now.pinConflicts.length > was.pinConflicts.length) return false;
+
+    const { rules } = getScheduleProfile(after);
+    return !rules.blockSave ||
+        checkScheduleRules(after, now.scheduleItems).length <= checkScheduleRules(before, was.scheduleItems).length;
+}
+
+/**
+ * Upcoming assigned dates, other than the day shown, with their columns loaded
+ */
+async function loadMoveDayTargets() {
+    const todayStr = formatLocalDate(new Date());
+    const monthKeys = Array.from({ length: MOVE_DAY_MONTHS }, (_, i) => {
+        const month = parseLocalDate(`${todayStr.substring(0, 7)}-01`);
+        month.setMonth(month.getMonth() + i);
+        return formatLocalDate(month).substring(0, 7);
     });
+    const dates = [...await getAssignedDateSet(monthKeys)]
+        .filter(dateStr => dateStr >= todayStr && dateStr !== state.date)
+        .sort();
+
+    const targets = new Map();
+    for (const dateStr of dates) {
+        const columns = await buildDayColumns(dateStr);
+        await Promise.all(columns.map(async (column) => {
+            const data = await readDocument(`schedules/${column.id}`);
+            if (data) {
+                column.base = data;
+                column.schedule = withProfile(data, column.profile);
+            }
+        }));
+        targets.set(dateStr, columns);
+    }
+    return targets;
+}
 
-    // Attach drag handlers to booked appointments
-    document.querySelectorAll('.slot--booked').forEach(slot => {
-        const appointmentId = slot.dataset.appointmentId;
-        const aptItem = scheduleItems.find(item => item.id === appointmentId);
-        if (aptItem) {
-            makeDraggable(slot, 'appointment', aptItem.start, appointmentId, aptItem.blockIndex);
+async function openMoveDay() {
+    const blockId = state.ui.selectedSlotId;
+    const apt = blockId ? getAppointmentById(state.schedule, blockId) : null;
+    if (!apt?.isBooked || state.ui.previewMode || !elements.moveDayModal) return;
+
+    const request = ++moveDayRequest;
+    if (elements.moveDayClient) elements.moveDayClient.textContent = apt.name || '';
+    if (elements.moveDayBody) elements.moveDayBody.innerHTML = `<p class="overview__message">${t('overviewLoading')}</p>`;
+    elements.moveDayModal.classList.remove('hidden');
+
+    try {
+        const targets = await loadMoveDayTargets();
+        if (request !== moveDayRequest) return;
+        moveDayColumns = targets;
+        if (elements.moveDayBody) elements.moveDayBody.innerHTML = renderMoveDayTargets(blockId);
+    } catch (error) {
+        console.error('Error loading upcoming days:', error);
+        if (request === moveDayRequest && elements.moveDayBody) {
+            elements.moveDayBody.innerHTML = `<p class="overview__message">${t('unknownError')}</p>`;
         }
+    }
+}
+
+/**
+ * Free slots per upcoming date - only those the booking fits into without moving anyone else
+ */
+function renderMoveDayTargets(blockId) {
+    const sections = [...moveDayColumns.entries()].map(([dateStr, columns]) => {
+        const isMultiColumn = columns.length > 1;
+        const rows = columns.map((column, index) => {
+            const times = reflow(column.schedule).slots.filter(slot => {
+                const moved = transferAppointment(state.schedule, column.schedule, blockId, slot.id);
+                return moved && acceptsBooking(column.schedule, moved.target);
+            }).map(slot => `
+              <button class="move-day__slot" type="button" data-date="${dateStr}" data-column-id="${column.id}"
+                data-block-id="${slot.id}">${slot.start}</button>`).join('');
+
+            if (!times) return '';
+            const label = isMultiColumn ? `<span class="move-day__expert">${escapeHtml(getColumnLabel(column, index))}</span>` : '';
+            return `<div class="move-day__column">${label}<div class="move-day__slots">${times}</div></div>`;
+        }).join('');
+
+        return `
+      <h4 class="client-history__title">${formatLongDate(dateStr)}</h4>
+      ${rows || `<p class="client-history__empty">${t('moveDayNoSlots')}</p>`}`;
     });
+
+    return sections.length > 0 ? sections.join('') : `<p class="overview__message">${t('moveDayNoDates')}</p>`;
 }
 
-function handleDragEnd(dragResult) {
-    let scheduleChanged = false;
+/**
+ * Move the open booking to a slot on another day - both schedules change in one transaction
+ */
+async function moveToDay(dateStr, columnId, targetBlockId) {
+    const sourceColumn = getActiveColumn();
+    const targetColumns = moveDayColumns.get(dateStr) || [];
+    const targetColumn = targetColumns.find(column => column.id === columnId);
+    const blockId = state.ui.selectedSlotId;
+    if (!sourceColumn || !targetColumn || !blockId) return;
 
-    // dragResult now contains: type, blockId, fromIndex, toIndex (position-based)
-    if (dragResult.toIndex !== undefined && dragResult.fromIndex !== undefined) {
-        // Position-based move
-        state.schedule = moveBlock(state.schedule, dragResult.fromIndex, dragResult.toIndex);
-        scheduleChanged = true;
-    } else if (dragResult.type === 'lunch') {
-        // Legacy time-based (fallback)
-        state.schedule = moveLunch(state.schedule, dragResult.toIndex || 0);
-        scheduleChanged = true;
-    } else if (dragResult.type === 'techBreak') {
-        state.schedule = moveTechBreak(state.schedule, dragResult.breakId, dragResult.toIndex || 0);
-        scheduleChanged = true;
+    const sourcePath = `schedules/${sourceColumn.id}`;
+    const targetPath = `schedules/${targetColumn.id}`;
+
+    let written;
+    try {
+        written = await updateDocumentsTogether([sourcePath, targetPath], ([sourceData, targetData]) => {
+            if (!sourceData) return null;
+            const source = withProfile(sourceData, sourceColumn.profile);
+            const target = targetData ? withProfile(targetData, targetColumn.profile) : targetColumn.schedule;
+
+            const moved = transferAppointment(source, target, blockId, targetBlockId);
+            if (!moved || !acceptsBooking(target, moved.target)) return null;
+            return [
+                toScheduleDocument(sourceColumn, recordAppointmentTimes(moved.source)),
+                toScheduleDocument(targetColumn, recordAppointmentTimes(moved.target))
+            ];
+        });
+    } catch (error) {
+        console.error('Error moving appointment:', error);
+        showToast(t(error.code === 'unavailable' ? 'moveDayOffline' : 'unknownError'), 'error');
+        return;
     }
 
-    if (scheduleChanged) {
-        renderSchedule();
-        saveScheduleToFirebase();
+    if (!written) {
+        // Booked or changed elsewhere meanwhile - list what is free now
+        showToast(t('moveDaySlotTaken'), 'warning');
+        openMoveDay();
+        return;
     }
+
+    const [sourceData, targetData] = written;
+    targetColumn.base = targetData;
+    targetColumn.schedule = withProfile(targetData, targetColumn.profile);
+    if (state.columns.includes(sourceColumn)) {
+        sourceColumn.base = sourceData;
+        applyColumnData(sourceColumn, sourceData);
+    }
+
+    const time = targetData.appointments[targetBlockId]?.time || '';
+    closeMoveDay();
+    closeDrawer();
+    renderSchedule();
+    showToast(t('moveDayDone', { date: formatLongDate(dateStr), time }), 'success');
+
+    if (state.columns.includes(sourceColumn)) await updateAvailabilityStatus(sourceColumn.date);
+    await updateAvailabilityStatus(dateStr, targetColumns);
 }
 
-function handleDragUpdate(dragData) {
-    // Visual feedback during drag (optional)
+function closeMoveDay() {
+    moveDayRequest++;
+    elements.moveDayModal?.classList.add('hidden');
 }
-// applyPreview and cancelPreview removed as confirmation is no longer required
 
 // ==========================================
-// Drawer (Edit Panel)
+// Cancellations
 // ==========================================
 
-function openDrawer(blockId, startTime) {
-    state.ui.selectedSlotId = blockId; // Block ID for new or existing
-    state.ui.selectedTime = startTime;
-    state.ui.drawerOpen = true;
+/**
+ * Who is making changes on this tablet, for status history and cancellation records
+ */
+function getChangeAuthor() {
+    return { role: 'pharmacy', name: getSession()?.name || '' };
+}
 
+function openCancelModal() {
+    const blockId = state.ui.selectedSlotId;
     const apt = blockId ? getAppointmentById(state.schedule, blockId) : null;
+    if (!apt?.isBooked || apt.status === 'cancelled' || state.ui.previewMode || !elements.cancelModal) return;
 
-    if (elements.clientName) elements.clientName.value = apt?.name || '';
-    if (elements.clientContact) elements.clientContact.value = apt?.contact || '';
-    if (elements.clientNotes) elements.clientNotes.value = apt?.notes || '';
+    if (elements.cancelModalClient) elements.cancelModalClient.textContent = apt.name || '';
+    if (elements.cancelReason) {
+        elements.cancelReason.innerHTML = CANCELLATION_REASONS
+            .map(reason => `<option value="${reason}">${t(`cancelReasons.${reason}`)}</option>`)
+            .join('');
+    }
+    if (elements.cancelKeepSlot) elements.cancelKeepSlot.checked = false;
+    elements.cancelModal.classList.remove('hidden');
+    elements.cancelReason?.focus();
+}
 
-    const status = apt?.status || 'scheduled';
-    elements.statusButtons?.querySelectorAll('.status-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.status === status);
-    });
+function closeCancelModal() {
+    elements.cancelModal?.classList.add('hidden');
+}
 
-    elements.drawer?.classList.add('open');
-    elements.mainContent?.classList.add('drawer-open');
+/**
+ * Cancel the drawer's booking for the chosen reason; a freed slot is offered to the waitlist
+ */
+function confirmCancelAppointment() {
+    const blockId = state.ui.selectedSlotId;
+    const reason = elements.cancelReason?.value;
+    const keepSlot = Boolean(elements.cancelKeepSlot?.checked);
+    if (!blockId || !CANCELLATION_REASONS.includes(reason)) return;
+
+    const proposed = cancelAppointment(state.schedule, blockId, { reason, by: getChangeAuthor(), keepSlot });
+    closeCancelModal();
+    if (!proposed) return;
+
+    setSchedule(proposed);
+    closeDrawer();
+    renderSchedule();
+    saveScheduleToFirebase();
+    showToast(t('appointmentCancelled'), 'info');
+    if (!keepSlot) offerWaitlist(blockId);
 }
 
-function closeDrawer() {
-    state.ui.selectedSlotId = null;
-    state.ui.selectedTime = null;
-    state.ui.drawerOpen = false;
-    elements.drawer?.classList.remove('open');
-    elements.mainContent?.classList.remove('drawer-open');
+/**
+ * Bookings cancelled today whose slots were freed, below the waitlist
+ */
+function renderCancelledList() {
+    if (!elements.cancelledSection) return;
+    const cancelled = getCancelledAppointments(state.schedule);
+
+    elements.cancelledSection.classList.toggle('hidden', cancelled.length === 0);
+    if (elements.cancelledCount) elements.cancelledCount.textContent = `(${cancelled.length})`;
+    if (!elements.cancelledList) return;
+
+    elements.cancelledList.innerHTML = cancelled.map(entry => `
+      <li class="waitlist__item">
+        <div>
+          <span class="waitlist__name">${entry.time ? `${entry.time} • ` : ''}${escapeHtml(entry.name)}</span>
+          <span class="waitlist__details">${escapeHtml(describeCancellation(entry.cancellation))}</span>
+        </div>
+      </li>`).join('');
 }
 
-function saveSlot() {
-    const startTime = state.ui.selectedTime;
-    const blockId = state.ui.selectedSlotId;
-    if (!startTime || !blockId) return;
+// ==========================================
+// Day Close-Out
+// ==========================================
 
-    const name = elements.clientName?.value.trim() || '';
-    const contact = elements.clientContact?.value.trim() || '';
-    const notes = elements.clientNotes?.value.trim() || '';
-    const activeStatusBtn = elements.statusButtons?.querySelector('.status-btn.active');
-    const status = activeStatusBtn?.dataset.status || 'scheduled';
+let closeDayOutcomes = {}; // Outcome picked per open booking while the close-day modal is open
 
-    if (!name && blockId) {
-        // Clear existing appointment if name is empty
-        state.schedule = clearAppointment(state.schedule, blockId);
-    } else if (name && blockId) {
-        // Book or update appointment using blockId
-        state.schedule = bookAppointment(state.schedule, blockId, { name, contact, notes, status });
+/**
+ * "Close day" is offered from the day itself onwards, once per schedule
+ */
+function updateCloseDayButton() {
+    if (!elements.closeDayBtn) return;
+    const isClosed = isDayClosed(state.schedule);
+    const isFuture = state.date > formatLocalDate(new Date());
+
+    elements.closeDayBtn.toggleAttribute('disabled', !getActiveColumn() || isClosed || isFuture || state.ui.previewMode);
+    const label = elements.closeDayBtn.querySelector('[data-i18n]');
+    if (label) {
+        label.dataset.i18n = isClosed ? 'dayClosed' : 'closeDay';
+        label.textContent = t(label.dataset.i18n);
     }
+}
 
-    closeDrawer();
+function openCloseDayModal() {
+    if (!getActiveColumn() || isDayClosed(state.schedule) || state.ui.previewMode || !elements.closeDayModal) return;
+    if (state.ui.drawerOpen) closeDrawer();
+
+    closeDayOutcomes = {};
+    const isMultiColumn = state.columns.length > 1;
+    if (elements.closeDayExpert) {
+        elements.closeDayExpert.textContent = isMultiColumn
+            ? getColumnLabel(getActiveColumn(), state.columns.indexOf(getActiveColumn()))
+            : '';
+    }
+    if (elements.closeDayProducts) elements.closeDayProducts.value = '';
+    if (elements.closeDayRemarks) elements.closeDayRemarks.value = '';
+    renderCloseDayList();
+    elements.closeDayModal.classList.remove('hidden');
+}
+
+function closeCloseDayModal() {
+    closeDayOutcomes = {};
+    elements.closeDayModal?.classList.add('hidden');
+}
+
+/**
+ * Bookings still without an outcome, each with completed / no-show buttons
+ */
+function renderCloseDayList() {
+    if (!elements.closeDayList) return;
+    const unresolved = getUnresolvedAppointments(state.schedule);
+    const pending = unresolved.filter(apt => !closeDayOutcomes[apt.id]).length;
+
+    elements.closeDayList.innerHTML = unresolved.length === 0
+        ? `<li class="client-history__empty">${t('closeDayAllResolved')}</li>`
+        : unresolved.map(apt => `
+      <li class="close-day__item">
+        <div>
+          <span class="waitlist__name">${apt.start ? `${apt.start} • ` : ''}${escapeHtml(apt.name)}</span>
+          <span class="waitlist__details">${getStatusLabel(apt.status || 'scheduled')}</span>
+        </div>
+        <div class="status-buttons">
+          ${CLOSING_STATUSES.map(status => `
+          <button class="status-btn${closeDayOutcomes[apt.id] === status ? ' active' : ''}" type="button"
+            data-status="${status}" data-close-status="${status}" data-block-id="${apt.id}">${getStatusLabel(status)}</button>`).join('')}
+        </div>
+      </li>`).join('');
+
+    if (elements.closeDayConfirmBtn) {
+        elements.closeDayConfirmBtn.disabled = pending > 0;
+        elements.closeDayConfirmBtn.title = pending > 0 ? t('closeDayPending', { count: pending }) : '';
+    }
+}
+
+function setCloseDayOutcome(blockId, status) {
+    if (!CLOSING_STATUSES.includes(status)) return;
+    closeDayOutcomes = { ...closeDayOutcomes, [blockId]: status };
+    renderCloseDayList();
+}
+
+/**
+ * Record every outcome and the day report, and lock the day's layout
+ */
+function confirmCloseDay() {
+    const proposed = closeDay(state.schedule, {
+        resolutions: closeDayOutcomes,
+        report: {
+            products: elements.closeDayProducts?.value || '',
+            remarks: elements.closeDayRemarks?.value || ''
+        },
+        by: getChangeAuthor()
+    });
+    if (!proposed) {
+        renderCloseDayList(); // Bookings changed while the modal was open
+        return;
+    }
+
+    closeCloseDayModal();
+    setSchedule(proposed);
     renderSchedule();
     saveScheduleToFirebase();
+    showToast(t('dayClosedToast'), 'success');
 }
 
-function clearSlot() {
-    const appointmentId = state.ui.selectedSlotId;
-    if (appointmentId) {
-        state.schedule = clearAppointment(state.schedule, appointmentId);
-        closeDrawer();
-        renderSchedule();
-        saveScheduleToFirebase();
+// ==========================================
+// Waitlist
+// ==========================================
+
+/**
+ * Schedule with a waitlisted client booked into a slot (not yet linked to a client record)
+ */
+function getWaitlistBooking(schedule, entry, blockId) {
+    const duration = getService(entry.serviceId)?.duration || null;
+    return bookFromWaitlist(schedule, entry.id, blockId, { duration });
+}
+
+/**
+ * First free slot a waitlisted client fits into without moving other bookings
+ */
+function findWaitlistSlot(schedule, entry) {
+    return reflow(schedule).slots.find(slot =>
+        acceptsBooking(schedule, getWaitlistBooking(schedule, entry, slot.id))) || null;
+}
+
+/**
+ * The active column's waitlist, with a booking button for clients a free slot fits
+ */
+function renderWaitlist() {
+    if (!elements.waitlistList) return;
+    const waitlist = getWaitlist(state.schedule);
+    renderServiceOptions(elements.waitlistService?.value || '', elements.waitlistService); // Standard length follows the column
+
+    if (elements.waitlistCount) elements.waitlistCount.textContent = waitlist.length > 0 ? `(${waitlist.length})` : '';
+    if (waitlist.length === 0) {
+        elements.waitlistList.innerHTML = `<li class="waitlist__empty">${t('waitlistEmpty')}</li>`;
+        return;
+    }
+
+    elements.waitlistList.innerHTML = waitlist.map(entry => {
+        const service = getService(entry.serviceId);
+        const details = [entry.contact, service ? t(service.labelKey) : null].filter(Boolean).join(' • ');
+        const slot = state.ui.previewMode ? null : findWaitlistSlot(state.schedule, entry);
+        const bookBtn = slot
+            ? `<button class="waitlist__book-btn" type="button" data-waitlist-book="${entry.id}" data-block-id="${slot.id}">${t('waitlistBookAt', { time: slot.start })}</button>`
+            : '';
+
+        return `
+      <li class="waitlist__item">
+        <div>
+          <span class="waitlist__name">${escapeHtml(entry.name)}</span>
+          <span class="waitlist__details">${escapeHtml(details)}</span>
+        </div>
+        <div class="waitlist__actions">
+          ${bookBtn}
+          <button class="waitlist__remove-btn" type="button" data-waitlist-remove="${entry.id}" aria-label="${t('waitlistRemove')}">
+            <span class="material-symbols-outlined">close</span>
+          </button>
+        </div>
+      </li>`;
+    }).join('');
+}
+
+function handleAddToWaitlist(e) {
+    e.preventDefault();
+    const name = elements.waitlistName?.value.trim() || '';
+    if (!name || state.ui.previewMode) return;
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+
+    const contact = elements.waitlistContact?.value.trim() || '';
+    const serviceId = getService(elements.waitlistService?.value)?.id || null;
+    const clientId = findMatchingClient(name, contact)?.id || null;
+
+    setSchedule(addToWaitlist(state.schedule, { name, contact, serviceId, clientId }));
+    elements.waitlistForm?.reset();
+    renderWaitlist();
+    saveScheduleToFirebase();
+}
+
+function handleRemoveFromWaitlist(entryId) {
+    if (state.ui.previewMode) return;
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+    setSchedule(removeFromWaitlist(state.schedule, entryId));
+    renderWaitlist();
+    saveScheduleToFirebase();
+}
+
+/**
+ * Book a waitlisted client into a free slot and take them off the list
+ */
+function bookWaitlistEntry(entryId, blockId) {
+    const entry = getWaitlist(state.schedule).find(e => e.id === entryId);
+    if (!entry || state.ui.previewMode) return;
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+
+    const duration = getService(entry.serviceId)?.duration || null;
+    const proposed = bookFromWaitlist(state.schedule, entry.id, blockId, { duration });
+    if (!reflow(state.schedule).slots.some(slot => slot.id === blockId) || !acceptsBooking(state.schedule, proposed)) {
+        showToast(t('waitlistNoFit', { name: entry.name }), 'warning');
+        return;
     }
+    if (!checkRuleChange(state.schedule, proposed)) return;
+
+    const clientId = linkClient(entry.name, entry.contact, entry.clientId);
+    setSchedule(bookFromWaitlist(state.schedule, entry.id, blockId, { duration, clientId }));
+    renderSchedule();
+    saveScheduleToFirebase();
+
+    const start = reflow(state.schedule).appointments.find(apt => apt.id === blockId)?.start || '';
+    showToast(t('waitlistBooked', { name: entry.name, time: start }), 'success');
+}
+
+/**
+ * A booking was cleared - offer its slot to the first waitlisted client it fits
+ */
+async function offerWaitlist(blockId) {
+    const column = getActiveColumn();
+    const schedule = state.schedule;
+    const slot = reflow(schedule).slots.find(s => s.id === blockId);
+    const entry = slot && getWaitlist(schedule).find(e => acceptsBooking(schedule, getWaitlistBooking(schedule, e, blockId)));
+    if (!entry) return;
+
+    const confirmed = await showConfirm(t('waitlistOfferMessage', { name: entry.name, time: slot.start }), {
+        title: t('waitlistOfferTitle'),
+        confirmText: t('waitlistBook'),
+        cancelText: t('waitlistNotNow')
+    });
+
+    // Another day or column may be shown by now; booking re-checks the slot is still free
+    if (confirmed && getActiveColumn() === column) bookWaitlistEntry(entry.id, blockId);
 }
 
 // ==========================================
@@ -954,26 +3363,52 @@ function clearSlot() {
 // ==========================================
 
 function handleAddTechBreak() {
-    // With the new ordered block model, insert a tech break at position 1
-    // (after the first slot, effectively at the beginning of the day)
-    state.schedule = addTechBreak(state.schedule, 1);
-    renderSchedule();
-    saveScheduleToFirebase();
+    if (state.ui.previewMode) return;
+
+    // Placed where it best fits the labour rules and keeps the most free slots
+    commitLayoutChange(addTechBreak(state.schedule, findTechBreakPosition(state.schedule)));
 }
 
 function handleDeleteTechBreak(breakId) {
-    state.schedule = removeTechBreak(state.schedule, breakId);
-    renderSchedule();
-    saveScheduleToFirebase();
+    commitLayoutChange(removeTechBreak(state.schedule, breakId));
+}
+
+// ==========================================
+// Unavailable Gaps
+// ==========================================
+
+function handleGapStep(gapId, step) {
+    const gap = state.schedule.blocks.find(block => block.id === gapId);
+    if (!gap) return;
+
+    const duration = getBlockDuration(gap) + step * SNAP_INCREMENT;
+    commitLayoutChange(duration > 0 ? resizeGap(state.schedule, gapId, duration) : removeBlock(state.schedule, gapId));
+}
+
+function handleDeleteGap(gapId) {
+    commitLayoutChange(removeBlock(state.schedule, gapId));
+}
+
+/**
+ * Start a free slot later, e.g. to book a client at 09:30 instead of 09:00
+ */
+function handleDelaySlot(blockId) {
+    commitLayoutChange(delayBlock(state.schedule, blockId, SNAP_INCREMENT));
 }
 
 async function handleClearAppointment(appointmentId) {
-    state.schedule = clearAppointment(state.schedule, appointmentId);
+    if (isDayClosed(state.schedule)) {
+        showToast(t('dayClosedLocked'), 'warning');
+        return;
+    }
+
+    setSchedule(clearAppointment(state.schedule, appointmentId));
     renderSchedule();
 
     // Save the full schedule to Firebase - this ensures consistency
     // and works regardless of document structure
     await saveScheduleToFirebase();
+    offerWaitlist(appointmentId);
 }
 
 // ==========================================
@@ -984,6 +3419,15 @@ function setupEventListeners() {
     document.getElementById('prevDayBtn')?.addEventListener('click', handlePrevDay);
     document.getElementById('nextDayBtn')?.addEventListener('click', handleNextDay);
 
+    elements.viewToggle?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-view]');
+        if (btn) setView(btn.dataset.view);
+    });
+    elements.overview?.addEventListener('click', (e) => {
+        const day = e.target.closest('[data-date]');
+        if (day) openOverviewDay(day.dataset.date);
+    });
+
     initFlatpickr();
 
     elements.themeToggle?.addEventListener('click', toggleTheme);
@@ -991,9 +3435,22 @@ function setupEventListeners() {
     elements.langEN?.addEventListener('click', () => changeLanguage('en'));
     elements.printBtn?.addEventListener('click', () => window.print());
     elements.addTechBreakBtn?.addEventListener('click', handleAddTechBreak);
+    elements.autoArrangeBtn?.addEventListener('click', handleAutoArrange);
+    elements.layoutBtn?.addEventListener('click', openLayoutModal);
+    elements.layoutModalClose?.addEventListener('click', closeLayoutModal);
+    elements.layoutModal?.querySelector('.client-modal__backdrop')?.addEventListener('click', closeLayoutModal);
+    elements.layoutTemplateList?.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-template-id]');
+        if (item) handleApplyTemplate(item.dataset.templateId);
+    });
+    elements.layoutCopyBtn?.addEventListener('click', handleCopyLayout);
+    elements.undoBtn?.addEventListener('click', () => handleHistoryStep(false));
+    elements.redoBtn?.addEventListener('click', () => handleHistoryStep(true));
     elements.drawerClose?.addEventListener('click', closeDrawer);
     elements.clearSlotBtn?.addEventListener('click', closeDrawer); // Fixed: Cancel should close, not delete
     elements.saveSlotBtn?.addEventListener('click', saveSlot);
+    elements.previewApply?.addEventListener('click', applyPreview);
+    elements.previewCancel?.addEventListener('click', cancelPreview);
 
     elements.statusButtons?.addEventListener('click', (e) => {
         const btn = e.target.closest('.status-btn');
@@ -1003,7 +3460,39 @@ function setupEventListeners() {
         }
     });
 
+    elements.scheduleBody?.addEventListener('keydown', handleRowKeyDown);
+    elements.scheduleBody?.addEventListener('focusin', (e) => {
+        const row = e.target.closest('.schedule__row');
+        if (row) state.ui.focusedRowId = row.dataset.itemId;
+    });
+
     elements.scheduleBody?.addEventListener('click', (e) => {
+        // The timeline is read-only while a proposal is pending
+        if (state.ui.previewMode) return;
+
+        // Actions apply to the expert column that was clicked
+        const columnId = e.target.closest('.schedule__column')?.dataset.columnId;
+        if (columnId && columnId !== state.activeColumnId) {
+            setActiveColumn(columnId);
+            renderSchedule();
+        }
+
+        const gapBtn = e.target.closest('.gap-block__btn');
+        if (gapBtn) {
+            e.stopPropagation();
+            const gapId = gapBtn.dataset.gapId;
+            if (gapBtn.dataset.gapStep) handleGapStep(gapId, Number(gapBtn.dataset.gapStep));
+            else handleDeleteGap(gapId);
+            return;
+        }
+
+        const delayBtn = e.target.closest('.slot__delay-btn');
+        if (delayBtn) {
+            e.stopPropagation();
+            handleDelaySlot(delayBtn.dataset.blockId);
+            return;
+        }
+
         const deleteBtn = e.target.closest('.techbreak-block__delete-btn');
         if (deleteBtn) {
             e.stopPropagation();
@@ -1046,13 +3535,101 @@ function setupEventListeners() {
     });
 
     document.addEventListener('keydown', (e) => {
+        // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y too) - text fields keep their own undo
+        const isShortcut = (e.ctrlKey || e.metaKey) && !e.altKey;
+        const key = e.key.toLowerCase();
+        if (isShortcut && (key === 'z' || key === 'y') && !e.target.closest('input, textarea, select') && state.ui.view === 'day') {
+            e.preventDefault();
+            handleHistoryStep(key === 'y' || e.shiftKey);
+            return;
+        }
+
         if (e.key === 'Escape') {
+            if (!elements.clientModal?.classList.contains('hidden')) {
+                closeClientHistory();
+                return;
+            }
+            if (!elements.moveDayModal?.classList.contains('hidden')) {
+                closeMoveDay();
+                return;
+            }
+            if (!elements.cancelModal?.classList.contains('hidden')) {
+                closeCancelModal();
+                return;
+            }
+            if (!elements.closeDayModal?.classList.contains('hidden')) {
+                closeCloseDayModal();
+                return;
+            }
+            if (!elements.layoutModal?.classList.contains('hidden')) {
+                closeLayoutModal();
+                return;
+            }
+            if (state.ui.previewMode) cancelPreview();
             if (state.ui.drawerOpen) closeDrawer();
             if (!elements.expertModal?.classList.contains('hidden')) closeExpertModal();
             if (!elements.pharmacyEditMode?.classList.contains('hidden')) closePharmacyEdit();
         }
     });
 
+    elements.clientName?.addEventListener('input', () => {
+        // Typing a different name starts a new client unless a suggestion is picked
+        setDrawerClient(null);
+        renderClientSuggestions();
+    });
+    elements.clientName?.addEventListener('keydown', handleClientSuggestionKeys);
+    elements.clientName?.addEventListener('blur', hideClientSuggestions);
+    elements.clientSuggestions?.addEventListener('mousedown', (e) => {
+        // mousedown fires before the input's blur hides the list
+        const item = e.target.closest('[data-client-id]');
+        if (!item) return;
+        e.preventDefault();
+        pickClient(item.dataset.clientId);
+    });
+    elements.clientHistoryBtn?.addEventListener('click', openClientHistory);
+    elements.clientModalClose?.addEventListener('click', closeClientHistory);
+    elements.clientModal?.querySelector('.client-modal__backdrop')?.addEventListener('click', closeClientHistory);
+    elements.clientModalBody?.addEventListener('click', (e) => {
+        // Jump to the day of a past or upcoming appointment
+        const item = e.target.closest('[data-date]');
+        if (!item) return;
+        closeClientHistory();
+        closeDrawer();
+        changeDate(item.dataset.date);
+    });
+    elements.waitlistForm?.addEventListener('submit', handleAddToWaitlist);
+    elements.waitlistList?.addEventListener('click', (e) => {
+        const bookBtn = e.target.closest('[data-waitlist-book]');
+        if (bookBtn) {
+            bookWaitlistEntry(bookBtn.dataset.waitlistBook, bookBtn.dataset.blockId);
+            return;
+        }
+        const removeBtn = e.target.closest('[data-waitlist-remove]');
+        if (removeBtn) handleRemoveFromWaitlist(removeBtn.dataset.waitlistRemove);
+    });
+    elements.moveDayBtn?.addEventListener('click', openMoveDay);
+    elements.cancelAppointmentBtn?.addEventListener('click', openCancelModal);
+    elements.cancelModalClose?.addEventListener('click', closeCancelModal);
+    elements.cancelModal?.querySelector('.client-modal__backdrop')?.addEventListener('click', closeCancelModal);
+    elements.cancelConfirmBtn?.addEventListener('click', confirmCancelAppointment);
+    elements.closeDayBtn?.addEventListener('click', openCloseDayModal);
+    elements.closeDayModalClose?.addEventListener('click', closeCloseDayModal);
+    elements.closeDayModal?.querySelector('.client-modal__backdrop')?.addEventListener('click', closeCloseDayModal);
+    elements.closeDayList?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-close-status]');
+        if (btn) setCloseDayOutcome(btn.dataset.blockId, btn.dataset.closeStatus);
+    });
+    elements.closeDayConfirmBtn?.addEventListener('click', confirmCloseDay);
+    elements.moveDayClose?.addEventListener('click', closeMoveDay);
+    elements.moveDayModal?.querySelector('.client-modal__backdrop')?.addEventListener('click', closeMoveDay);
+    elements.moveDayBody?.addEventListener('click', (e) => {
+        const slot = e.target.closest('.move-day__slot');
+        if (!slot || slot.disabled) return;
+        elements.moveDayBody.querySelectorAll('.move-day__slot').forEach(btn => { btn.disabled = true; });
+        moveToDay(slot.dataset.date, slot.dataset.columnId, slot.dataset.blockId)
+            .finally(() => elements.moveDayBody?.querySelectorAll('.move-day__slot').forEach(btn => { btn.disabled = false; }));
+    });
+
     elements.editPharmacyBtn?.addEventListener('click', openPharmacyEdit);
     elements.savePharmacyBtn?.addEventListener('click', savePharmacy);
     elements.cancelPharmacyBtn?.addEventListener('click', closePharmacyEdit);
@@ -4,6 +4,7 @@
  */
 
 import { db, auth } from './firebase-config.js';
+import { getAssignmentDocId } from './schedules.js';
 import {
     signInWithEmailAndPassword,
     signOut as firebaseSignOut,
@@ -218,6 +219,10 @@ export async function getPharmacy(id) {
     } catch (e) { return null; }
 }
 
+/**
+ * Dates assigned to the session's pharmacy within a month
+ * @returns {Promise<string[]|null>} null when they could not be fetched (e.g. offline)
+ */
 export async function getAssignedDates(monthKey) {
     try {
         const session = getSession();
@@ -240,7 +245,28 @@ export async function getAssignedDates(monthKey) {
             .filter(date => date.startsWith(monthKey));
     } catch (error) {
         console.error('Error fetching assigned dates:', error);
-        return [];
+        return null;
+    }
+}
+
+/**
+ * Assignments for a date visible to the session (all of them for admins)
+ * Each entry includes its document `id`; legacy entries are keyed by date alone
+ * @returns {Promise<Array<Object>|null>} null when they could not be fetched (e.g. offline)
+ */
+export async function getDateAssignments(dateStr) {
+    try {
+        const session = getSession();
+        if (!session) return [];
+
+        const q = query(collection(db, 'dateAssignments'), where('date', '==', dateStr));
+        const snapshot = await getDocs(q);
+        return snapshot.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .filter(a => session.isAdmin || a.pharmacyId === session.pharmacyId);
+    } catch (error) {
+        console.error('Error fetching date assignments:', error);
+        return null;
     }
 }
 
@@ -250,10 +276,14 @@ export async function checkDateAssignment(dateStr) {
         if (!session) return { allowed: false, reason: 'unauthorized' };
         if (session.isAdmin) return { allowed: true };
 
-        const assignmentDoc = await getDoc(doc(db, 'dateAssignments', dateStr));
-        if (!assignmentDoc.exists()) return { allowed: false, reason: 'dateNotAssigned' };
+        const assignmentDoc = await getDoc(doc(db, 'dateAssignments', getAssignmentDocId(dateStr, session.pharmacyId)));
+        if (assignmentDoc.exists()) return { allowed: true };
+
+        // Legacy assignments are keyed by date alone
+        const legacyDoc = await getDoc(doc(db, 'dateAssignments', dateStr));
+        if (!legacyDoc.exists()) return { allowed: false, reason: 'dateNotAssigned' };
 
-        if (assignmentDoc.data().pharmacyId !== session.pharmacyId) {
+        if (legacyDoc.data().pharmacyId !== session.pharmacyId) {
             return { allowed: false, reason: 'dateAssignedToOther' };
         }
 
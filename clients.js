@@ -0,0 +1,169 @@
+/**
+ * clients.js - Client records per pharmacy
+ * Search-as-you-type lookups for the drawer and booking history across schedules
+ */
+
+import { db } from './firebase-config.js';
+import { reflow } from './scheduler.js';
+import { queueWrite } from './offline-store.js';
+import {
+    collection,
+    getDocs,
+    query,
+    where
+} from "https://www.gstatic.com/firebasejs/11.1.0/firebase-firestore.js";
+
+const SEARCH_LIMIT = 6;
+const MIN_SEARCH_LENGTH = 2;
+
+let clientsCache = { pharmacyId: null, clients: [] };
+
+// ==========================================
+// Matching Helpers
+// ==========================================
+
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Emails compare case-insensitively; phone numbers by their digits only
+ */
+function normalizeContact(contact) {
+    const value = String(contact || '').trim().toLowerCase();
+    return value.includes('@') ? value : value.replace(/[^\d+]/g, '');
+}
+
+// ==========================================
+// Client Records
+// ==========================================
+
+/**
+ * Load a pharmacy's clients once; searches run against this cache
+ * @param {string} pharmacyId - Pharmacy ID
+ * @param {boolean} [forceRefresh] - Reload even if cached
+ */
+export async function loadClients(pharmacyId, forceRefresh = false) {
+    if (!pharmacyId) return [];
+    if (!forceRefresh && clientsCache.pharmacyId === pharmacyId) return clientsCache.clients;
+
+    const q = query(collection(db, 'clients'), where('pharmacyId', '==', pharmacyId));
+    const snapshot = await getDocs(q);
+    clientsCache = {
+        pharmacyId,
+        clients: snapshot.docs.map(d => ({ id: d.id, ...d.data() }))
+    };
+    return clientsCache.clients;
+}
+
+/**
+ * Clients whose name or contact matches typed text (name prefixes first)
+ * @param {string} text - Typed text
+ * @returns {Array<Object>} Up to SEARCH_LIMIT clients
+ */
+export function searchClients(text) {
+    const needle = normalizeText(text);
+    if (needle.length < MIN_SEARCH_LENGTH) return [];
+    const contactNeedle = normalizeContact(text);
+
+    return clientsCache.clients
+        .filter(client => normalizeText(client.name).includes(needle) ||
+            (contactNeedle && normalizeContact(client.contact).includes(contactNeedle)))
+        .sort((a, b) => {
+            const aPrefix = normalizeText(a.name).startsWith(needle) ? 0 : 1;
+            const bPrefix = normalizeText(b.name).startsWith(needle) ? 0 : 1;
+            return aPrefix - bPrefix || (a.name || '').localeCompare(b.name || '');
+        })
+        .slice(0, SEARCH_LIMIT);
+}
+
+export function getClient(clientId) {
+    return clientsCache.clients.find(client => client.id === clientId) || null;
+}
+
+/**
+ * Existing client with the same name and contact, so retyped clients are not duplicated
+ * Contact alone is not enough - family members often share a phone number
+ */
+export function findMatchingClient(name, contact) {
+    const contactNeedle = normalizeContact(contact);
+    if (!contactNeedle) return null;
+
+    const nameNeedle = normalizeText(name);
+    return clientsCache.clients.find(client =>
+        normalizeContact(client.contact) === contactNeedle && normalizeText(client.name) === nameNeedle
+    ) || null;
+}
+
+export function createClientId() {
+    return `client_${Date.now()}`;
+}
+
+/**
+ * Create or update a client record; unchanged records are not rewritten
+ * The cache is updated before the write so searches see the client immediately
+ * @param {string} pharmacyId - Pharmacy ID
+ * @param {{id: string, name: string, contact: string}} client
+ */
+export async function saveClient(pharmacyId, { id, name, contact }) {
+    const existing = getClient(id);
+    if (existing && existing.name === name && existing.contact === contact) return;
+
+    const now = new Date().toISOString();
+    const data = { pharmacyId, name, contact, updatedAt: now };
+    if (!existing) data.createdAt = now;
+
+    if (clientsCache.pharmacyId === pharmacyId) {
+        clientsCache.clients = existing
+            ? clientsCache.clients.map(client => client.id === id ? { ...client, ...data } : client)
+            : [...clientsCache.clients, { id, ...data }];
+    }
+
+    await queueWrite(`clients/${id}`, data, { merge: true });
+}
+
+// ==========================================
+// Booking History
+// ==========================================
+
+/**
+ * All of a client's appointments at a pharmacy, oldest first
+ * Times come from reflow() so they match the timeline; trimmed bookings keep their last known time
+ * @param {string} pharmacyId - Pharmacy ID
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getClientAppointments(pharmacyId, clientId) {
+    const q = query(collection(db, 'schedules'), where('pharmacyId', '==', pharmacyId));
+    const snapshot = await getDocs(q);
+    const entries = [];
+
+    snapshot.docs.forEach(d => {
+        const data = d.data();
+        const isClientDay = Object.values(data.appointments || {}).some(apt => apt?.clientId === clientId);
+        if (!isClientDay) return;
+
+        const { appointments, needsReschedule } = reflow({ ...data });
+        [...appointments, ...needsReschedule]
+            .filter(apt => apt.clientId === clientId)
+            .forEach(apt => {
+                entries.push({
+                    scheduleId: d.id,
+                    blockId: apt.id,
+                    date: data.date || d.id,
+                    time: apt.start || apt.formerStart || null,
+                    serviceId: apt.serviceId || null,
+                    status: apt.status,
+                    notes: apt.notes || '',
+                    expertName: data.expertName || '',
+                    needsReschedule: !apt.start
+                });
+            });
+    });
+
+    return entries.sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`));
+}
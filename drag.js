@@ -1,6 +1,6 @@
 /**
  * drag.js - Drag interactions with preview/apply mechanism
- * Uses Pointer Events for touch/mouse support
+ * Uses Pointer Events for touch/mouse support, plus a keyboard grab mode
  * Updated for position-based block model
  */
 
@@ -20,31 +20,41 @@ import {
 
 let isDragging = false;
 let dragTarget = null;
-let dragType = null; // 'lunch', 'techBreak', or 'appointment'
+let dragType = null; // 'lunch', 'techBreak', 'gap', or 'appointment'
 let dragBlockId = null;
 let dragFromIndex = null; // Starting block index
+let dragColumn = null; // Expert column the drag started in
 let startY = 0;
 let startOffsetY = 0; // Offset within the block where drag started
 let scheduleTop = 0; // Top of schedule container
-let blockHeights = []; // Heights of each block for position calculation
+let blockHeights = []; // Heights of each row for position calculation
+let rowBlockIndexes = []; // Block index of each row (idle rows share the next block's)
+let rowElements = []; // The rows themselves, in the same order
+let dropTargetRow = null; // Slot row an appointment would land on
+let isKeyboardGrab = false; // Grabbed with the keyboard rather than the pointer
+let keyboardIndexes = []; // Block indexes the grabbed block can be moved to, top to bottom
+let keyboardPosition = 0; // Current entry in keyboardIndexes
 let onDragEnd = null;
 let onDragMove = null;
+let onDragCancel = null;
 
 /**
  * Initialize drag handlers
  * @param {Object} callbacks - Callback functions
  * @param {Function} callbacks.onPreview - Called when drag ends with proposed position
  * @param {Function} callbacks.onDragUpdate - Called during drag with current position
+ * @param {Function} [callbacks.onDragCancel] - Called when a drag ends without moving anything
  */
 export function initDrag(callbacks) {
     onDragEnd = callbacks.onDragEnd || (() => { });
     onDragMove = callbacks.onDragUpdate || (() => { });
+    onDragCancel = callbacks.onDragCancel || (() => { });
 }
 
 /**
  * Make an element draggable
  * @param {HTMLElement} element - Element to make draggable
- * @param {string} type - 'lunch', 'techBreak', or 'appointment'
+ * @param {string} type - 'lunch', 'techBreak', 'gap', or 'appointment'
  * @param {string} startTimeStr - Current start time "HH:MM"
  * @param {string} [blockId] - Block ID
  * @param {number} [blockIndex] - Current block index in schedule
@@ -79,21 +89,24 @@ export function removeDraggable(element) {
 }
 
 /**
- * Calculate block heights from all schedule rows
+ * Calculate block heights from the rows of the column being dragged in
  */
 function calculateBlockHeights() {
-    const rows = document.querySelectorAll('.schedule__row');
+    const rows = (dragColumn || document).querySelectorAll('.schedule__row');
     blockHeights = [];
-    rows.forEach(row => {
+    rowBlockIndexes = [];
+    rowElements = [...rows];
+    rows.forEach((row, index) => {
         blockHeights.push(row.offsetHeight);
+        rowBlockIndexes.push(parseInt(row.getAttribute('data-block-index') ?? String(index), 10));
     });
     return blockHeights;
 }
 
 /**
- * Calculate which block position corresponds to a Y coordinate
+ * Calculate which row a Y coordinate falls in
  */
-function yToBlockPosition(y) {
+function yToRowIndex(y) {
     let cumulative = 0;
     for (let i = 0; i < blockHeights.length; i++) {
         cumulative += blockHeights[i];
@@ -104,13 +117,54 @@ function yToBlockPosition(y) {
     return blockHeights.length - 1;
 }
 
+/**
+ * Calculate which block position corresponds to a Y coordinate
+ */
+function yToBlockPosition(y) {
+    return rowBlockIndexes[yToRowIndex(y)];
+}
+
+// ==========================================
+// Drop Targets
+// ==========================================
+
+/**
+ * Highlight the slot a dragged appointment would be dropped on
+ * Free slots take the client; other (unpinned) bookings swap with it
+ */
+function updateDropTarget(row) {
+    const isTarget = dragType === 'appointment' && row && row.dataset.itemId !== dragBlockId &&
+        (row.dataset.itemType === 'slot' || (row.dataset.itemType === 'bookedAppointment' && !row.querySelector('.slot--pinned')));
+    const target = isTarget ? row : null;
+    if (target === dropTargetRow) return;
+
+    clearDropTarget();
+    dropTargetRow = target;
+    dropTargetRow?.classList.add('schedule__row--drop-target');
+    dropTargetRow?.classList.toggle('schedule__row--drop-swap', dropTargetRow.dataset.itemType === 'bookedAppointment');
+}
+
+function clearDropTarget() {
+    dropTargetRow?.classList.remove('schedule__row--drop-target', 'schedule__row--drop-swap');
+    dropTargetRow = null;
+}
+
+/**
+ * Drop target details added to drag updates and results
+ */
+function getDropTarget() {
+    return dropTargetRow
+        ? { targetBlockId: dropTargetRow.dataset.itemId, isSwap: dropTargetRow.dataset.itemType === 'bookedAppointment' }
+        : { targetBlockId: null, isSwap: false };
+}
+
 /**
  * Handle pointer down event (start drag)
  * @param {PointerEvent} e - Pointer event
  */
 function handlePointerDown(e) {
     // Only handle primary button (left click / touch)
-    if (e.button !== 0) return;
+    if (e.button !== 0 || isKeyboardGrab) return;
 
     // Don't intercept clicks on buttons (delete, clear, etc.)
     if (e.target.closest('button') || e.target.closest('.techbreak-block__delete-btn') || e.target.closest('.slot__clear-btn')) {
@@ -124,14 +178,15 @@ function handlePointerDown(e) {
     dragBlockId = dragTarget.getAttribute('data-block-id');
     dragFromIndex = parseInt(dragTarget.getAttribute('data-block-index') || '0', 10);
     startY = e.clientY;
+    dragColumn = dragTarget.closest('.schedule__column');
 
     // Calculate block heights for position tracking
     calculateBlockHeights();
 
-    // Get schedule container position
-    const scheduleBody = document.getElementById('scheduleBody');
-    if (scheduleBody) {
-        scheduleTop = scheduleBody.getBoundingClientRect().top;
+    // Get position of the column's rows
+    const rowsContainer = dragColumn?.querySelector('.schedule__column-body') || document.getElementById('scheduleBody');
+    if (rowsContainer) {
+        scheduleTop = rowsContainer.getBoundingClientRect().top;
     }
 
     // Calculate offset within the row
@@ -168,15 +223,19 @@ function handlePointerMove(e) {
     const relativeY = e.clientY - scheduleTop;
 
     // Find target block position
-    const targetIndex = yToBlockPosition(relativeY);
+    const rowIndex = yToRowIndex(relativeY);
+    const targetIndex = rowBlockIndexes[rowIndex];
+    updateDropTarget(rowElements[rowIndex]);
 
     // Notify about drag position
     onDragMove({
         type: dragType,
         blockId: dragBlockId,
+        columnId: dragColumn?.dataset.columnId || null,
         fromIndex: dragFromIndex,
         currentIndex: targetIndex,
-        deltaY: deltaY
+        deltaY: deltaY,
+        ...getDropTarget()
     });
 
     // Smooth follow to finger/mouse
@@ -226,7 +285,11 @@ function handlePointerUp(e) {
 
     // Calculate final position (viewport-relative like pointermove)
     const relativeY = e.clientY - scheduleTop;
-    const toIndex = yToBlockPosition(relativeY);
+    const rowIndex = yToRowIndex(relativeY);
+    const toIndex = rowBlockIndexes[rowIndex];
+    updateDropTarget(rowElements[rowIndex]);
+    const dropTarget = getDropTarget();
+    clearDropTarget();
 
     // Check if position actually changed
     if (toIndex !== dragFromIndex) {
@@ -234,25 +297,41 @@ function handlePointerUp(e) {
         onDragEnd({
             type: dragType,
             blockId: dragBlockId,
+            columnId: dragColumn?.dataset.columnId || null,
             fromIndex: dragFromIndex,
-            toIndex: toIndex
+            toIndex: toIndex,
+            ...dropTarget
         });
+    } else {
+        onDragCancel();
     }
 
-    // Reset state
+    resetDragState();
+}
+
+function resetDragState() {
     dragTarget = null;
     dragType = null;
     dragBlockId = null;
     dragFromIndex = null;
+    dragColumn = null;
     startY = 0;
     startOffsetY = 0;
     blockHeights = [];
+    rowBlockIndexes = [];
+    rowElements = [];
+    clearDropTarget();
 }
 
 /**
  * Cancel any active drag operation
  */
 export function cancelDrag() {
+    if (isKeyboardGrab) {
+        endKeyboardGrab();
+        return;
+    }
+
     if (isDragging && dragTarget) {
         dragTarget.style.cursor = 'grab';
         dragTarget.style.opacity = '';
@@ -262,13 +341,7 @@ export function cancelDrag() {
 
     isDragging = false;
     stopAutoScroll();
-    dragTarget = null;
-    dragType = null;
-    dragBlockId = null;
-    dragFromIndex = null;
-    startY = 0;
-    startOffsetY = 0;
-    blockHeights = [];
+    resetDragState();
 
     document.removeEventListener('pointermove', handlePointerMove);
     document.removeEventListener('pointerup', handlePointerUp);
@@ -280,7 +353,144 @@ export function cancelDrag() {
  * @returns {boolean} True if dragging
  */
 export function isDraggingActive() {
-    return isDragging;
+    return isDragging || isKeyboardGrab;
+}
+
+// ==========================================
+// Keyboard Grab Mode
+// ==========================================
+
+/**
+ * Pick up a draggable block with the keyboard
+ * Arrow keys (and Home/End) move it through positions, Enter or Space drops it,
+ * Escape puts it back. Drops go through onDragEnd exactly like pointer drags.
+ * @param {HTMLElement} element - Element made draggable with makeDraggable()
+ * @returns {boolean} Whether the block was picked up
+ */
+export function startKeyboardGrab(element) {
+    if (isDragging || isKeyboardGrab || !element?.hasAttribute('data-draggable')) return false;
+
+    dragTarget = element;
+    dragType = element.getAttribute('data-drag-type');
+    dragBlockId = element.getAttribute('data-block-id');
+    dragFromIndex = parseInt(element.getAttribute('data-block-index') || '0', 10);
+    dragColumn = element.closest('.schedule__column');
+    calculateBlockHeights();
+
+    keyboardIndexes = [...new Set(rowBlockIndexes)];
+    keyboardPosition = Math.max(0, keyboardIndexes.indexOf(dragFromIndex));
+    isKeyboardGrab = true;
+
+    dragTarget.classList.add('is-grabbed');
+    dragTarget.setAttribute('aria-grabbed', 'true');
+    dragTarget.style.zIndex = '100';
+    dragTarget.style.transition = 'transform 0.12s ease-out';
+    document.addEventListener('keydown', handleGrabKeyDown, true);
+
+    notifyKeyboardMove();
+    return true;
+}
+
+function handleGrabKeyDown(e) {
+    const lastPosition = keyboardIndexes.length - 1;
+
+    switch (e.key) {
+        case 'ArrowUp':
+            moveKeyboardGrab(Math.max(0, keyboardPosition - 1));
+            break;
+        case 'ArrowDown':
+            moveKeyboardGrab(Math.min(lastPosition, keyboardPosition + 1));
+            break;
+        case 'Home':
+            moveKeyboardGrab(0);
+            break;
+        case 'End':
+            moveKeyboardGrab(lastPosition);
+            break;
+        case 'Enter':
+        case ' ':
+            dropKeyboardGrab();
+            break;
+        case 'Escape':
+            endKeyboardGrab();
+            onDragCancel();
+            break;
+        case 'Tab':
+            break; // Focus stays on the grabbed block until it is dropped
+        default:
+            return;
+    }
+
+    // Handled here - the timeline's own key handling must not see it
+    e.preventDefault();
+    e.stopImmediatePropagation();
+}
+
+function moveKeyboardGrab(position) {
+    if (position === keyboardPosition) return;
+    keyboardPosition = position;
+
+    // Follow the rows, as a pointer drag would
+    const fromRow = dragTarget.closest('.schedule__row');
+    const toRow = getKeyboardRow();
+    if (fromRow && toRow) {
+        dragTarget.style.transform = `translateY(${toRow.offsetTop - fromRow.offsetTop}px)`;
+    }
+    updateDropTarget(toRow);
+
+    notifyKeyboardMove();
+}
+
+/**
+ * Row at the grabbed block's current position (past any idle row sharing its index)
+ */
+function getKeyboardRow() {
+    const blockIndex = keyboardIndexes[keyboardPosition];
+    return rowElements.find((row, i) => rowBlockIndexes[i] === blockIndex && row.dataset.itemType !== 'idle') || null;
+}
+
+function notifyKeyboardMove() {
+    onDragMove({
+        type: dragType,
+        blockId: dragBlockId,
+        columnId: dragColumn?.dataset.columnId || null,
+        fromIndex: dragFromIndex,
+        currentIndex: keyboardIndexes[keyboardPosition],
+        isKeyboard: true,
+        ...getDropTarget()
+    });
+}
+
+function dropKeyboardGrab() {
+    const result = {
+        type: dragType,
+        blockId: dragBlockId,
+        columnId: dragColumn?.dataset.columnId || null,
+        fromIndex: dragFromIndex,
+        toIndex: keyboardIndexes[keyboardPosition],
+        isKeyboard: true,
+        ...getDropTarget()
+    };
+
+    endKeyboardGrab();
+    if (result.toIndex !== result.fromIndex) onDragEnd(result);
+    else onDragCancel();
+}
+
+function endKeyboardGrab() {
+    if (dragTarget) {
+        dragTarget.classList.remove('is-grabbed');
+        dragTarget.removeAttribute('aria-grabbed');
+        dragTarget.style.zIndex = '';
+        dragTarget.style.transform = '';
+        dragTarget.style.transition = '';
+    }
+
+    isKeyboardGrab = false;
+    keyboardIndexes = [];
+    keyboardPosition = 0;
+    document.removeEventListener('keydown', handleGrabKeyDown, true);
+    resetDragState();
 }
 
 // ==========================================
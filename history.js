@@ -0,0 +1,133 @@
+/**
+ * history.js - Undo/redo for schedule edits
+ * One history per schedule document, kept in sessionStorage so edits can be
+ * reversed after a reload for as long as the tab stays open
+ */
+
+import { mergeSchedules } from './schedule-merge.js';
+
+const STORAGE_PREFIX = 'scheduleHistory:';
+const MAX_ENTRIES = 30; // Per schedule
+
+// Schedule as last loaded or saved, per key - the "before" of the next edit
+const baselines = new Map();
+
+// ==========================================
+// Storage
+// ==========================================
+
+/**
+ * Only the parts of a schedule an edit changes; schedule-level fields are left alone
+ * Cancelled bookings are included so undoing a cancellation also drops its record,
+ * and the waitlist so undoing a booking made from it puts the client back on it
+ */
+function snapshot(schedule) {
+    return JSON.parse(JSON.stringify({
+        blocks: schedule?.blocks || [],
+        appointments: schedule?.appointments || {},
+        cancelledAppointments: schedule?.cancelledAppointments || [],
+        waitlist: schedule?.waitlist || []
+    }));
+}
+
+function readStacks(key) {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + key));
+        if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) return stored;
+    } catch (error) {
+        // Unreadable entry - start over
+    }
+    return { undo: [], redo: [] };
+}
+
+function writeStacks(key, stacks) {
+    try {
+        sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(stacks));
+    } catch (error) {
+        console.warn('Undo history not saved:', error);
+    }
+}
+
+// ==========================================
+// Recording
+// ==========================================
+
+/**
+ * Remember a schedule as loaded (or changed elsewhere) without making it an edit
+ * @param {string} key - Schedule document path
+ */
+export function setHistoryBaseline(key, schedule) {
+    baselines.set(key, snapshot(schedule));
+}
+
+/**
+ * Record a local edit - the change from the baseline to this schedule
+ * Clears the redo stack, as any new edit does
+ * @param {string} key - Schedule document path
+ * @param {Object} schedule - Schedule after the edit
+ */
+export function recordEdit(key, schedule) {
+    const before = baselines.get(key);
+    const after = snapshot(schedule);
+    baselines.set(key, after);
+    if (!before || JSON.stringify(before) === JSON.stringify(after)) return;
+
+    const stacks = readStacks(key);
+    stacks.undo = [...stacks.undo, { before, after }].slice(-MAX_ENTRIES);
+    stacks.redo = [];
+    writeStacks(key, stacks);
+}
+
+export function canUndo(key) {
+    return readStacks(key).undo.length > 0;
+}
+
+export function canRedo(key) {
+    return readStacks(key).redo.length > 0;
+}
+
+// ==========================================
+// Undo / Redo
+// ==========================================
+
+/**
+ * Apply the change from one snapshot to another on top of the current schedule
+ * Changes made since (e.g. on another device) are kept; blocks they also touched keep their current state
+ */
+function applyStep(from, to, current) {
+    return mergeSchedules(from, to, current).merged;
+}
+
+/**
+ * Reverse the latest edit
+ * @param {string} key - Schedule document path
+ * @param {Object} current - Schedule as shown now
+ * @returns {Object|null} Schedule with the edit reversed, or null when there is nothing to undo
+ */
+export function undoEdit(key, current) {
+    const stacks = readStacks(key);
+    const entry = stacks.undo.pop();
+    if (!entry) return null;
+
+    const result = applyStep(entry.after, entry.before, current);
+    stacks.redo = [...stacks.redo, entry].slice(-MAX_ENTRIES);
+    writeStacks(key, stacks);
+    baselines.set(key, snapshot(result));
+    return result;
+}
+
+/**
+ * Re-apply the latest undone edit
+ * @returns {Object|null} Schedule with the edit applied again, or null when there is nothing to redo
+ */
+export function redoEdit(key, current) {
+    const stacks = readStacks(key);
+    const entry = stacks.redo.pop();
+    if (!entry) return null;
+
+    const result = applyStep(entry.before, entry.after, current);
+    stacks.undo = [...stacks.undo, entry].slice(-MAX_ENTRIES);
+    writeStacks(key, stacks);
+    baselines.set(key, snapshot(result));
+    return result;
+}
@@ -0,0 +1,110 @@
+/**
+ * migrations.js - Schedule document schema versions
+ * Every saved schedule carries a schemaVersion; older documents are brought up to date
+ * by running each migrator after their version, in order, without dropping bookings
+ */
+
+import { convertTimeKeyedSchedule, getScheduleProfile, hasBookingData } from './scheduler.js';
+import { getService } from './services.js';
+
+// ==========================================
+// Migrators
+// ==========================================
+
+/**
+ * v1 - appointments keyed by block instead of by time
+ * Old documents: { lunchStart, techBreaks, appointments: { "HH:MM": data } }
+ */
+function toBlockKeyed(schedule, profile) {
+    if (Array.isArray(schedule.blocks)) return schedule;
+
+    const { lunchStart, techBreaks, ...rest } = schedule;
+    return { ...rest, ...convertTimeKeyedSchedule(schedule, profile) };
+}
+
+/**
+ * v2 - every booking carries isBooked, status, serviceId and duration
+ * Bookings from before the service catalogue become service-less, default-length sessions
+ */
+function addServiceFields(schedule) {
+    const appointments = {};
+    Object.entries(schedule.appointments || {}).forEach(([blockId, apt]) => {
+        if (!hasBookingData(apt)) {
+            appointments[blockId] = apt;
+            return;
+        }
+
+        const service = getService(apt.serviceId);
+        appointments[blockId] = {
+            ...apt,
+            isBooked: true,
+            status: apt.status || 'scheduled',
+            serviceId: service ? service.id : null,
+            duration: apt.duration ?? service?.duration ?? null
+        };
+    });
+
+    return { ...schedule, appointments };
+}
+
+/**
+ * Ordered - a document at version N runs every migrator with a higher version
+ * Migrators are pure: (schedule, profile) => schedule
+ */
+const MIGRATIONS = [
+    { version: 1, migrate: toBlockKeyed },
+    { version: 2, migrate: addServiceFields }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ==========================================
+// Running Migrations
+// ==========================================
+
+/**
+ * Schema version of a stored schedule
+ * Documents saved before versioning: 1 when they already use blocks, 0 when keyed by time
+ */
+export function getSchemaVersion(schedule) {
+    if (Number.isInteger(schedule?.schemaVersion)) return schedule.schemaVersion;
+    return Array.isArray(schedule?.blocks) ? 1 : 0;
+}
+
+/**
+ * Bookings in a stored schedule, whatever its version
+ */
+export function countBookings(schedule) {
+    return Object.values(schedule?.appointments || {}).filter(hasBookingData).length;
+}
+
+/**
+ * Bring a stored schedule up to SCHEMA_VERSION
+ * Documents from a newer version of the app are returned untouched
+ * @param {Object} schedule - Document data
+ * @param {Object} [profile] - Profile the day is laid out with (time-keyed days need it)
+ * @returns {{schedule: Object, fromVersion: number, toVersion: number, steps: number[], changed: boolean}}
+ *   steps lists the versions whose migrator changed the data
+ */
+export function migrateSchedule(schedule, profile = getScheduleProfile(schedule)) {
+    const fromVersion = getSchemaVersion(schedule);
+    if (fromVersion >= SCHEMA_VERSION) {
+        return { schedule, fromVersion, toVersion: fromVersion, steps: [], changed: false };
+    }
+
+    const steps = [];
+    let migrated = schedule;
+    MIGRATIONS.filter(migration => migration.version > fromVersion).forEach(({ version, migrate }) => {
+        const next = migrate(migrated, profile);
+        if (JSON.stringify(next) !== JSON.stringify(migrated)) steps.push(version);
+        migrated = next;
+    });
+
+    return {
+        schedule: { ...migrated, schemaVersion: SCHEMA_VERSION },
+        fromVersion,
+        toVersion: SCHEMA_VERSION,
+        steps,
+        changed: true
+    };
+}
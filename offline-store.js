@@ -0,0 +1,437 @@
+/**
+ * offline-store.js - Offline-first persistence
+ * Documents are cached in IndexedDB and every write goes through a local queue
+ * that is replayed, in order, whenever connectivity returns
+ */
+
+import { db } from './firebase-config.js';
+import { doc, setDoc, deleteField, runTransaction as runFirestoreTransaction } from "https://www.gstatic.com/firebasejs/11.1.0/firebase-firestore.js";
+
+const DB_NAME = 'skin-moments-offline';
+const DB_VERSION = 1;
+const DOCUMENTS_STORE = 'documents';
+const QUEUE_STORE = 'writeQueue';
+
+const WRITE_TIMEOUT = 10000; // ms - Firestore holds writes while offline instead of failing them
+const RETRY_INTERVAL = 30000; // ms between replay attempts while writes are pending
+
+// Retrying cannot fix these - the write is dropped and reported
+const PERMANENT_ERRORS = ['permission-denied', 'invalid-argument'];
+
+let dbPromise = null;
+let pendingPaths = new Set(); // Document paths with queued writes
+let pendingCount = 0;
+let isFlushing = false;
+let sendingSeq = null; // Queue key of the write being sent right now
+const resolvingPaths = new Map(); // Document path -> queue key of its write waiting on the conflict handler
+const resolvedConflicts = new Map(); // Queue key -> {data, base} the conflict handler settled on
+let conflictQueue = Promise.resolve(); // The handler may ask the user, so it answers one conflict at a time
+let retryTimer = null;
+const stateListeners = new Set();
+let onWriteRejected = null;
+let onWriteConflict = null;
+let onWriteSynced = null;
+
+// ==========================================
+// IndexedDB
+// ==========================================
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(DOCUMENTS_STORE)) {
+                    database.createObjectStore(DOCUMENTS_STORE);
+                }
+                if (!database.objectStoreNames.contains(QUEUE_STORE)) {
+                    database.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run an operation in its own transaction; resolves with the last request's result once committed
+ * @param {string} storeName - Object store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest | void
+ */
+async function runTransaction(storeName, mode, operation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ==========================================
+// Document Cache
+// ==========================================
+
+/**
+ * Keep the latest known copy of a document (or query result) for offline reads
+ * @param {string} key - Document path, e.g. "schedules/2026-10-19"
+ * @param {*} data - Plain JSON data
+ */
+export async function cacheDocument(key, data) {
+    try {
+        await runTransaction(DOCUMENTS_STORE, 'readwrite', store => store.put({ data, cachedAt: new Date().toISOString() }, key));
+    } catch (error) {
+        console.warn('Offline cache write failed:', error);
+    }
+}
+
+/**
+ * @param {string} key - Document path
+ * @returns {Promise<*>} Cached data or null
+ */
+export async function getCachedDocument(key) {
+    try {
+        const entry = await runTransaction(DOCUMENTS_STORE, 'readonly', store => store.get(key));
+        return entry ? entry.data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ==========================================
+// Write Queue
+// ==========================================
+
+/**
+ * Queue a document write and try to send it right away
+ * Resolves once the write is stored locally - not when the server has it
+ * @param {string} path - Document path, e.g. "schedules/2026-10-19"
+ * @param {Object} data - Plain JSON data
+ * @param {Object} [options]
+ * @param {boolean} [options.merge] - Merge into the existing document
+ * @param {string[]} [options.deleteFields] - Fields to delete (deleteField() itself cannot be stored)
+ * @param {Object|null} [options.base] - Server copy the data was edited from; makes the write
+ *   version-checked, so changes saved elsewhere meanwhile go through the conflict handler
+ */
+export async function queueWrite(path, data, { merge = false, deleteFields = [], base } = {}) {
+    const write = { path, data, merge, deleteFields, queuedAt: new Date().toISOString() };
+    if (base !== undefined) write.base = base;
+
+    try {
+        await runTransaction(QUEUE_STORE, 'readwrite', store => {
+            if (merge) {
+                store.add(write);
+                return;
+            }
+
+            // A full overwrite supersedes any earlier queued write of the same document
+            // but keeps its base - the server has not seen anything newer from us.
+            // The write being sent or resolved is left alone: once it lands, flushQueue rebases this one on it
+            let hasInheritedBase = false;
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    store.add(write); // Added after the scan so the cursor never sees it
+                    return;
+                }
+                const isHeld = cursor.value.seq === sendingSeq || cursor.value.seq === resolvingPaths.get(path);
+                if (cursor.value.path === path && !isHeld) {
+                    if ('base' in write && 'base' in cursor.value && !hasInheritedBase) {
+                        write.base = cursor.value.base;
+                        hasInheritedBase = true;
+                    }
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        });
+    } catch (error) {
+        // No IndexedDB (e.g. private browsing) - write straight through
+        console.warn('Write queue unavailable, writing directly:', error);
+        await sendWrite(write);
+        return;
+    }
+
+    await refreshPending();
+    flushQueue();
+}
+
+/**
+ * Whether a document has local changes the server has not received yet
+ * Server snapshots of such documents are stale and must not replace local data
+ */
+export function hasPendingWrite(path) {
+    return pendingPaths.has(path);
+}
+
+function withWriteTimeout(promise) {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(Object.assign(new Error('Write timed out'), { code: 'timeout' })), WRITE_TIMEOUT);
+        promise
+            .then(result => { clearTimeout(timeout); resolve(result); })
+            .catch(error => { clearTimeout(timeout); reject(error); });
+    });
+}
+
+/**
+ * @returns {Promise<Object|null>} Data now on the server for versioned writes
+ */
+async function sendWrite(write) {
+    if ('base' in write) return sendVersionedWrite(write);
+
+    const data = { ...write.data };
+    (write.deleteFields || []).forEach(field => { data[field] = deleteField(); });
+    await withWriteTimeout(setDoc(doc(db, write.path), data, { merge: write.merge }));
+    return null;
+}
+
+/**
+ * Write only if the server still holds the version the edits started from
+ * Otherwise the conflict handler combines both sides and the write is retried; for a queued
+ * write this fails with code 'conflict' so flushQueue can resolve it without holding up the queue
+ */
+async function sendVersionedWrite(write) {
+    const ref = doc(db, write.path);
+    let { data, base } = write;
+
+    for (;;) {
+        const result = await withWriteTimeout(runFirestoreTransaction(db, async (transaction) => {
+            const snap = await transaction.get(ref);
+            const server = snap.exists() ? snap.data() : null;
+            const serverVersion = server?.version || 0;
+            if (serverVersion !== (base?.version || 0)) return { server };
+
+            const written = { ...data, version: serverVersion + 1 };
+            transaction.set(ref, written);
+            return { written };
+        }));
+
+        if (result.written) return result.written;
+        if (onWriteConflict && write.seq !== undefined) {
+            throw Object.assign(new Error('Document changed on the server'), { code: 'conflict', server: result.server });
+        }
+
+        // Saved elsewhere meanwhile - resolved outside the transaction, which may ask the user
+        data = onWriteConflict ? await onWriteConflict(write.path, base, data, result.server) : data;
+        base = result.server;
+    }
+}
+
+async function refreshPending() {
+    try {
+        const writes = await runTransaction(QUEUE_STORE, 'readonly', store => store.getAll());
+        pendingPaths = new Set(writes.map(write => write.path));
+        pendingCount = writes.length;
+    } catch (error) {
+        pendingPaths = new Set();
+        pendingCount = 0;
+    }
+    notifyState();
+}
+
+/**
+ * Replay queued writes in order, stopping at the first one that cannot be sent
+ * A document whose write is waiting on the conflict handler is skipped until it is resolved
+ */
+export async function flushQueue() {
+    if (isFlushing) return;
+    if (!navigator.onLine) {
+        notifyState();
+        return;
+    }
+
+    isFlushing = true;
+    notifyState();
+    let isPaused = false;
+
+    try {
+        const writes = await runTransaction(QUEUE_STORE, 'readonly', store => store.getAll());
+        for (const queued of writes) {
+            // Later writes of the document wait behind the one being resolved
+            if (resolvingPaths.has(queued.path)) continue;
+
+            // Re-read: it may have been superseded or rebased since the pass started
+            sendingSeq = queued.seq;
+            const write = await runTransaction(QUEUE_STORE, 'readonly', store => store.get(queued.seq));
+            const resolution = resolvedConflicts.get(queued.seq);
+            if (!write) {
+                resolvedConflicts.delete(queued.seq);
+                continue;
+            }
+
+            let written = null;
+            try {
+                written = await sendWrite(resolution ? { ...write, ...resolution } : write);
+            } catch (error) {
+                if (error.code === 'conflict') {
+                    sendingSeq = null;
+                    resolveConflict(write, resolution || write, error.server);
+                    continue;
+                }
+                if (!PERMANENT_ERRORS.includes(error.code)) throw error;
+                console.error('Write rejected, dropping it:', write.path, error);
+                if (onWriteRejected) onWriteRejected(write, error);
+            }
+            await runTransaction(QUEUE_STORE, 'readwrite', store => store.delete(write.seq));
+            resolvedConflicts.delete(write.seq);
+            sendingSeq = null;
+            if (written) await rebaseQueuedWrites(write, written);
+            await refreshPending();
+            if (written && onWriteSynced) onWriteSynced(write.path, written);
+        }
+    } catch (error) {
+        isPaused = true;
+        console.warn('Sync paused, will retry:', error);
+    } finally {
+        sendingSeq = null;
+        isFlushing = false;
+        await refreshPending();
+    }
+
+    // Writes queued during this pass go out now; after a failure, wait and retry
+    const hasSendable = [...pendingPaths].some(path => !resolvingPaths.has(path));
+    if (hasSendable && !isPaused) flushQueue();
+    else scheduleRetry();
+}
+
+/**
+ * Have the conflict handler combine a queued write with the server copy, then send it again
+ * The queued record keeps the local data, so later writes are rebased as for any merged write
+ * @param {Object} write - Queued write
+ * @param {{data: Object, base: Object|null}} sent - Data and base it was last sent with
+ * @param {Object|null} server - Data now on the server
+ */
+function resolveConflict(write, sent, server) {
+    resolvingPaths.set(write.path, write.seq);
+    conflictQueue = conflictQueue
+        .then(() => onWriteConflict(write.path, sent.base, sent.data, server))
+        .then(data => { resolvedConflicts.set(write.seq, { data, base: server }); })
+        .catch(error => console.warn('Conflict not resolved, will retry:', error))
+        .finally(() => {
+            resolvingPaths.delete(write.path);
+            flushQueue();
+        });
+}
+
+/**
+ * Later versioned writes of a document were edited on top of one that just landed - move their base to it
+ * When the landed write was merged with changes made elsewhere, they get the local data it was
+ * edited from one version back, so their own version check fails and the same merge runs for them
+ * @param {Object} write - Queued write that reached the server
+ * @param {Object} written - Data now on the server, version included
+ */
+async function rebaseQueuedWrites(write, written) {
+    const isUnmerged = JSON.stringify({ ...write.data, version: written.version }) === JSON.stringify(written);
+    const base = isUnmerged ? written : { ...write.data, version: written.version - 1 };
+
+    await runTransaction(QUEUE_STORE, 'readwrite', store => {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (cursor.value.path === write.path && 'base' in cursor.value) {
+                cursor.update({ ...cursor.value, base });
+            }
+            cursor.continue();
+        };
+    });
+}
+
+function scheduleRetry() {
+    clearTimeout(retryTimer);
+    if (pendingCount > 0) retryTimer = setTimeout(flushQueue, RETRY_INTERVAL);
+}
+
+// ==========================================
+// Linked Writes
+// ==========================================
+
+/**
+ * Change several documents in one server transaction - all of the writes land or none do
+ * Not queued: the documents are read on the server, so this needs a connection and
+ * fails with code 'unavailable' while any of them has queued writes
+ * @param {string[]} paths - Document paths
+ * @param {Function} update - (current: Array<Object|null>) => new data per path, or null to write nothing;
+ *   may run more than once if the documents change meanwhile
+ * @returns {Promise<Object[]|null>} Data written (versions bumped), or null when update declined
+ */
+export async function updateDocumentsTogether(paths, update) {
+    if (!navigator.onLine || paths.some(path => pendingPaths.has(path))) {
+        throw Object.assign(new Error('Documents have unsynced changes'), { code: 'unavailable' });
+    }
+
+    const refs = paths.map(path => doc(db, path));
+    const written = await withWriteTimeout(runFirestoreTransaction(db, async (transaction) => {
+        const snaps = await Promise.all(refs.map(ref => transaction.get(ref)));
+        const current = snaps.map(snap => snap.exists() ? snap.data() : null);
+
+        const next = update(current);
+        if (!next) return null;
+
+        const result = next.map((data, i) => ({ ...data, version: (current[i]?.version || 0) + 1 }));
+        refs.forEach((ref, i) => transaction.set(ref, result[i]));
+        return result;
+    }));
+
+    if (written) await Promise.all(paths.map((path, i) => cacheDocument(path, written[i])));
+    return written;
+}
+
+// ==========================================
+// Sync State
+// ==========================================
+
+/**
+ * @returns {{state: 'synced'|'pending'|'syncing'|'offline', pending: number}}
+ */
+export function getSyncStatus() {
+    let state = 'synced';
+    if (!navigator.onLine) state = 'offline';
+    else if (isFlushing) state = 'syncing';
+    else if (pendingCount > 0) state = 'pending';
+
+    return { state, pending: pendingCount };
+}
+
+function notifyState() {
+    const status = getSyncStatus();
+    stateListeners.forEach(listener => listener(status));
+}
+
+/**
+ * Subscribe to sync state changes; the listener is called immediately
+ * @returns {Function} Unsubscribe
+ */
+export function onSyncStateChange(listener) {
+    stateListeners.add(listener);
+    listener(getSyncStatus());
+    return () => stateListeners.delete(listener);
+}
+
+/**
+ * Start replaying writes left over from earlier sessions and whenever the connection returns
+ * @param {Object} [options]
+ * @param {Function} [options.onRejected] - Called with (write, error) for writes the server refused
+ * @param {Function} [options.onConflict] - (path, base, local, server) => data to write instead,
+ *   for versioned writes whose document changed on the server; without it local data wins
+ * @param {Function} [options.onSynced] - Called with (path, data) once a versioned write is on the server
+ */
+export async function initOfflineSync({ onRejected = null, onConflict = null, onSynced = null } = {}) {
+    onWriteRejected = onRejected;
+    onWriteConflict = onConflict;
+    onWriteSynced = onSynced;
+    window.addEventListener('online', flushQueue);
+    window.addEventListener('offline', notifyState);
+
+    await refreshPending();
+    flushQueue();
+}
@@ -0,0 +1,155 @@
+/**
+ * optimizer.js - Automatic lunch and tech-break placement
+ * Proposes a day layout around the current bookings; nothing is applied here,
+ * callers show the result as a preview the user can accept
+ */
+
+import {
+    reflow,
+    moveLunch,
+    addTechBreak,
+    removeTechBreak,
+    checkScheduleRules,
+    getScheduleProfile,
+    timeToMinutes,
+    BLOCK_TYPES
+} from './scheduler.js';
+
+const MAX_EXTRA_BREAKS = 4; // Breaks added on top of the user's own
+
+// ==========================================
+// Scoring
+// ==========================================
+
+/**
+ * Score a candidate layout - compared element by element, lower is better:
+ * broken pins, breaks pushed past day end, trimmed bookings, bookings whose time changes,
+ * rule violations, lost free slots, idle time, lunch distance from the start of its window,
+ * then the longest run of slots without a break.
+ * Booked clients keep their time unless that is the only way to keep a booking in the day.
+ */
+function scoreLayout(candidate, currentStarts) {
+    const { scheduleItems, slots, appointments, needsReschedule, pinConflicts } = reflow(candidate);
+    const { rules } = getScheduleProfile(candidate);
+
+    const placedIds = new Set(scheduleItems.map(item => item.id));
+    const droppedBreaks = candidate.blocks.filter(block => block.type !== BLOCK_TYPES.SLOT && !placedIds.has(block.id));
+
+    const lunch = scheduleItems.find(item => item.type === BLOCK_TYPES.LUNCH);
+    const lunchDistance = lunch
+        ? Math.abs(timeToMinutes(lunch.start) - timeToMinutes(rules.lunchWindowStart))
+        : Infinity;
+
+    let run = 0;
+    let longestRun = 0;
+    let idleMinutes = 0;
+    scheduleItems.forEach(item => {
+        if (item.type === 'idle') idleMinutes += item.duration;
+        run = item.type === BLOCK_TYPES.SLOT || item.type === 'bookedAppointment' ? run + 1 : 0;
+        longestRun = Math.max(longestRun, run);
+    });
+
+    return [
+        pinConflicts.length,
+        droppedBreaks.length,
+        needsReschedule.length,
+        appointments.filter(apt => currentStarts[apt.id] !== apt.start).length,
+        checkScheduleRules(candidate, scheduleItems).length,
+        -slots.length,
+        idleMinutes,
+        lunchDistance,
+        longestRun
+    ];
+}
+
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Best of a set of candidate layouts (the first one wins ties)
+ * @returns {{schedule: Object, score: Array<number>, index: number}}
+ */
+function pickBest(candidates, currentStarts) {
+    let best = null;
+    candidates.forEach((candidate, index) => {
+        const score = scoreLayout(candidate, currentStarts);
+        if (!best || compareScores(score, best.score) < 0) best = { schedule: candidate, score, index };
+    });
+    return best;
+}
+
+// ==========================================
+// Placement
+// ==========================================
+
+/**
+ * Best position for one more tech break in a schedule
+ * @returns {number} Block index to insert the break at
+ */
+export function findTechBreakPosition(schedule) {
+    return placeTechBreak(schedule, getCurrentStarts(schedule)).index;
+}
+
+function getCurrentStarts(schedule) {
+    const starts = {};
+    reflow(schedule).appointments.forEach(apt => {
+        starts[apt.id] = apt.start;
+    });
+    return starts;
+}
+
+function placeLunch(schedule, currentStarts) {
+    if (!schedule.blocks.some(block => block.type === BLOCK_TYPES.LUNCH)) return schedule;
+
+    const candidates = [];
+    for (let position = 0; position < schedule.blocks.length; position++) {
+        candidates.push(moveLunch(schedule, position));
+    }
+    return pickBest(candidates, currentStarts).schedule;
+}
+
+function placeTechBreak(schedule, currentStarts, breakId = null) {
+    const candidates = [];
+    for (let position = 0; position <= schedule.blocks.length; position++) {
+        candidates.push(addTechBreak(schedule, position, breakId));
+    }
+    return pickBest(candidates, currentStarts);
+}
+
+/**
+ * Propose lunch and tech-break positions for the current bookings
+ * Pinned times, bookings that fit today and booked start times are kept; within that,
+ * the layout follows the labour rules and leaves as many free slots as possible.
+ * The user's tech breaks are all placed again; more are added where the rules
+ * need them or where they use up time no session fits in.
+ * @param {Object} schedule - Current schedule
+ * @returns {Object|null} Proposed schedule, or null when the current layout is already best
+ */
+export function arrangeDay(schedule) {
+    const currentStarts = getCurrentStarts(schedule);
+    const breakIds = schedule.blocks.filter(block => block.type === BLOCK_TYPES.TECH_BREAK).map(block => block.id);
+
+    let candidate = breakIds.reduce((result, breakId) => removeTechBreak(result, breakId), schedule);
+    candidate = placeLunch(candidate, currentStarts);
+
+    breakIds.forEach(breakId => {
+        candidate = placeTechBreak(candidate, currentStarts, breakId).schedule;
+    });
+
+    // Extra breaks only while each one improves the layout (e.g. splits a long run of sessions)
+    for (let extra = 0; extra < MAX_EXTRA_BREAKS; extra++) {
+        const next = placeTechBreak(candidate, currentStarts);
+        if (compareScores(next.score, scoreLayout(candidate, currentStarts)) >= 0) break;
+        candidate = next.schedule;
+    }
+
+    // Lunch again, now that the breaks have moved the day around
+    candidate = placeLunch(candidate, currentStarts);
+
+    const isBetter = compareScores(scoreLayout(candidate, currentStarts), scoreLayout(schedule, currentStarts)) < 0;
+    return isBetter ? candidate : null;
+}
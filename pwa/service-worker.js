@@ -1,4 +1,5 @@
-const CACHE_NAME = 'skin-moments-v8';
+const CACHE_NAME = 'skin-moments-v32';
+const FIREBASE_SDK = 'https://www.gstatic.com/firebasejs/11.1.0';
 const ASSETS_TO_CACHE = [
   '../index.html',
   '../styles.css',
@@ -6,13 +7,31 @@ const ASSETS_TO_CACHE = [
   '../app.js',
   '../scheduler.js',
   '../drag.js',
+  '../services.js',
+  '../schedules.js',
+  '../clients.js',
+  '../offline-store.js',
+  '../schedule-merge.js',
+  '../optimizer.js',
+  '../history.js',
+  '../templates.js',
+  '../migrations.js',
   '../i18n.js',
+  '../login.js',
+  '../auth.js',
+  '../notify.js',
+  '../utils.js',
+  '../firebase-config.js',
   '../strings.pt.json',
   '../strings.en.json',
   '../assets/medik8-logo.svg',
+  '../assets/expert-avatar.svg',
   '../assets/icon-192.png',
   '../assets/icon-512.png',
-  'manifest.json'
+  'manifest.json',
+  `${FIREBASE_SDK}/firebase-app.js`,
+  `${FIREBASE_SDK}/firebase-auth.js`,
+  `${FIREBASE_SDK}/firebase-firestore.js`
 ];
 
 // Install event - cache all assets
@@ -41,6 +60,10 @@ self.addEventListener('activate', (event) => {
 
 // Fetch event - cache-first strategy
 self.addEventListener('fetch', (event) => {
+  // Firestore/Auth traffic and writes go straight to the network - offline-store handles them
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.hostname.endsWith('googleapis.com')) return;
+
   event.respondWith(
     caches.match(event.request).then((cachedResponse) => {
       if (cachedResponse) {
@@ -0,0 +1,252 @@
+/**
+ * schedule-merge.js - Three-way merge of concurrently edited schedules
+ * Combines this device's edits with changes another device saved meanwhile;
+ * only edits to the same block on both sides are reported as conflicts
+ */
+
+// Fields recomputed on every save - differences in them are not real edits
+const DERIVED_APPOINTMENT_FIELDS = ['time'];
+// Lists of entries with their own IDs, merged entry by entry
+const ENTRY_LIST_FIELDS = ['waitlist', 'cancelledAppointments'];
+const MERGE_IGNORED_FIELDS = ['version', 'blocks', 'appointments', ...ENTRY_LIST_FIELDS];
+
+/**
+ * Document version used for version-checked writes (0 before the first one)
+ */
+export function getScheduleVersion(schedule) {
+    return schedule?.version || 0;
+}
+
+// ==========================================
+// Comparison Helpers
+// ==========================================
+
+function stripDerived(appointment) {
+    if (!appointment) return null;
+    const copy = { ...appointment };
+    DERIVED_APPOINTMENT_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+/**
+ * Deep equality for plain JSON data (key order does not matter)
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return a === b;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const aKeys = Object.keys(a).filter(key => a[key] !== undefined);
+    const bKeys = Object.keys(b).filter(key => b[key] !== undefined);
+    if (aKeys.length !== bKeys.length) return false;
+    return aKeys.every(key => isEqual(a[key], b[key]));
+}
+
+function isSameAppointment(a, b) {
+    return isEqual(stripDerived(a), stripDerived(b));
+}
+
+function blockIds(blocks) {
+    return (blocks || []).map(block => block.id);
+}
+
+// ==========================================
+// Block Layout
+// ==========================================
+
+/**
+ * Merge block lists: removals from either side apply, additions from both are kept
+ * Returns null when both sides reordered the blocks they share in different ways
+ */
+function mergeBlocks(base, local, server) {
+    if (isEqual(local, base)) return server;
+    if (isEqual(server, base) || isEqual(local, server)) return local;
+
+    const baseIds = new Set(blockIds(base));
+    const localIds = new Set(blockIds(local));
+    const serverIds = new Set(blockIds(server));
+
+    // Relative order of blocks all three versions share
+    const sharedOrder = ids => ids.filter(id => baseIds.has(id) && localIds.has(id) && serverIds.has(id));
+    const baseOrder = sharedOrder(blockIds(base));
+    const localOrder = sharedOrder(blockIds(local));
+    const serverOrder = sharedOrder(blockIds(server));
+    const localMoved = !isEqual(localOrder, baseOrder);
+    const serverMoved = !isEqual(serverOrder, baseOrder);
+    if (localMoved && serverMoved && !isEqual(localOrder, serverOrder)) return null;
+
+    // Follow the side that reordered; otherwise local
+    const [primary, secondary, secondaryIds] = serverMoved ? [server, local, localIds] : [local, server, serverIds];
+    const primaryIds = serverMoved ? serverIds : localIds;
+
+    const merged = primary.filter(block => !baseIds.has(block.id) || secondaryIds.has(block.id));
+
+    // Blocks only the other side added go in after the block that precedes them there
+    secondary.forEach((block, index) => {
+        if (baseIds.has(block.id) || primaryIds.has(block.id)) return;
+        const previousId = index > 0 ? secondary[index - 1].id : null;
+        const anchor = previousId === null ? -1 : merged.findIndex(b => b.id === previousId);
+        merged.splice(anchor + 1, 0, block);
+    });
+
+    return takeEditedBlocks(merged, base, local, server);
+}
+
+/**
+ * A block edited on one side only (e.g. a resized gap) keeps that side's version
+ */
+function takeEditedBlocks(merged, base, local, server) {
+    const byId = blocks => new Map(blocks.map(block => [block.id, block]));
+    const baseBlocks = byId(base);
+    const localBlocks = byId(local);
+    const serverBlocks = byId(server);
+
+    return merged.map(block => {
+        const baseBlock = baseBlocks.get(block.id);
+        const localBlock = localBlocks.get(block.id);
+        const serverBlock = serverBlocks.get(block.id);
+        if (!baseBlock || !localBlock || !serverBlock) return block;
+        if (isEqual(localBlock, baseBlock)) return serverBlock;
+        if (isEqual(serverBlock, baseBlock)) return localBlock;
+        return block;
+    });
+}
+
+// ==========================================
+// Entry Lists
+// ==========================================
+
+/**
+ * Merge entry lists (waitlist, cancelled bookings): entries either side removed
+ * (e.g. booked or dropped) stay removed, entries added on both sides are kept - local ones first
+ */
+function mergeEntryList(base, local, server) {
+    const ids = list => new Set(list.map(entry => entry.id));
+    const baseIds = ids(base);
+    const localIds = ids(local);
+    const serverIds = ids(server);
+
+    const merged = local.filter(entry => !baseIds.has(entry.id) || serverIds.has(entry.id));
+    server.forEach(entry => {
+        if (!baseIds.has(entry.id) && !localIds.has(entry.id)) merged.push(entry);
+    });
+    return merged;
+}
+
+// ==========================================
+// Merge
+// ==========================================
+
+/**
+ * Three-way merge of a schedule
+ * Conflicting blocks take the server's version in `merged`; pass the user's
+ * choices to applyConflictChoices() to switch any of them to the local one
+ * @param {Object|null} base - Server copy the local edits started from
+ * @param {Object} local - Schedule as edited on this device
+ * @param {Object} server - Schedule currently on the server
+ * @returns {{merged: Object, conflicts: Array<Object>}}
+ */
+export function mergeSchedules(base, local, server) {
+    base = base || { blocks: [], appointments: {} };
+    const conflicts = [];
+    const merged = {};
+
+    // Schedule-level fields (profile, pharmacy and expert names) - local edits win
+    const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(server)]);
+    keys.forEach(key => {
+        if (MERGE_IGNORED_FIELDS.includes(key)) return;
+        const value = isEqual(local[key], base[key]) ? server[key] : local[key];
+        if (value !== undefined) merged[key] = value;
+    });
+    merged.version = getScheduleVersion(server);
+
+    // Appointments, block by block
+    const baseAppointments = base.appointments || {};
+    const localAppointments = local.appointments || {};
+    const serverAppointments = server.appointments || {};
+    const appointmentIds = new Set([
+        ...Object.keys(baseAppointments),
+        ...Object.keys(localAppointments),
+        ...Object.keys(serverAppointments)
+    ]);
+
+    merged.appointments = {};
+    appointmentIds.forEach(blockId => {
+        const baseApt = baseAppointments[blockId] || null;
+        const localApt = localAppointments[blockId] || null;
+        const serverApt = serverAppointments[blockId] || null;
+
+        let value;
+        if (isSameAppointment(localApt, baseApt)) value = serverApt;
+        else if (isSameAppointment(serverApt, baseApt) || isSameAppointment(localApt, serverApt)) value = localApt;
+        else {
+            conflicts.push({ type: 'appointment', blockId, local: localApt, server: serverApt });
+            value = serverApt;
+        }
+        if (value) merged.appointments[blockId] = value;
+    });
+
+    // Block layout
+    const blocks = mergeBlocks(base.blocks || [], local.blocks || [], server.blocks || []);
+    if (blocks) {
+        merged.blocks = blocks;
+    } else {
+        conflicts.push({ type: 'layout', local: local.blocks, server: server.blocks });
+        merged.blocks = server.blocks || [];
+    }
+
+    ENTRY_LIST_FIELDS.forEach(field => {
+        if ([base, local, server].some(schedule => Array.isArray(schedule[field]))) {
+            merged[field] = mergeEntryList(base[field] || [], local[field] || [], server[field] || []);
+        }
+    });
+
+    keepBookedBlocks(merged, [local, server]);
+    return { merged, conflicts };
+}
+
+/**
+ * A slot one side removed stays if the merged schedule still has a booking on it
+ */
+function keepBookedBlocks(merged, sources) {
+    const present = new Set(blockIds(merged.blocks));
+    Object.keys(merged.appointments).forEach(blockId => {
+        if (present.has(blockId) || !merged.appointments[blockId]?.isBooked) return;
+        const source = sources.find(schedule => blockIds(schedule?.blocks).includes(blockId));
+        if (!source) return;
+
+        const sourceIndex = source.blocks.findIndex(block => block.id === blockId);
+        const previousId = sourceIndex > 0 ? source.blocks[sourceIndex - 1].id : null;
+        const anchor = previousId === null ? -1 : merged.blocks.findIndex(block => block.id === previousId);
+        merged.blocks = [...merged.blocks];
+        merged.blocks.splice(anchor + 1, 0, source.blocks[sourceIndex]);
+        present.add(blockId);
+    });
+}
+
+/**
+ * Apply the user's choice for each conflict
+ * @param {{merged: Object, conflicts: Array<Object>}} result - From mergeSchedules()
+ * @param {Array<'local'|'server'>} choices - One per conflict
+ * @param {Object} local - Local schedule passed to mergeSchedules()
+ * @param {Object} server - Server schedule passed to mergeSchedules()
+ * @returns {Object} Resolved schedule
+ */
+export function applyConflictChoices({ merged, conflicts }, choices, local, server) {
+    const resolved = { ...merged, appointments: { ...merged.appointments } };
+
+    conflicts.forEach((conflict, index) => {
+        if (choices[index] !== 'local') return;
+
+        if (conflict.type === 'layout') {
+            resolved.blocks = conflict.local || [];
+        } else if (conflict.local) {
+            resolved.appointments[conflict.blockId] = conflict.local;
+        } else {
+            delete resolved.appointments[conflict.blockId];
+        }
+    });
+
+    keepBookedBlocks(resolved, [local, server]);
+    return resolved;
+}
@@ -11,6 +11,35 @@ export const LUNCH_DURATION = 60; // minutes
 export const TECH_BREAK_DURATION = 15; // minutes
 export const SNAP_INCREMENT = 15; // minutes
 
+// Lunch is placed at the first slot boundary at or after this time by default
+export const DEFAULT_LUNCH_TIME = '12:00';
+
+/**
+ * Default labour rules, checked by checkScheduleRules() on every change
+ * Stored with the profile (scheduleProfile.rules) so pharmacies can tune them
+ */
+export const DEFAULT_RULES = Object.freeze({
+    lunchWindowStart: '12:00', // Lunch must start between these times
+    lunchWindowEnd: '14:30',
+    maxConsecutiveSessions: 4, // Sessions in a row without a break; 0 = no limit
+    minMinutesBetweenSessions: 0, // Rest after each session; 0 = back-to-back allowed
+    blockSave: false // Refuse changes that break a rule instead of only flagging them
+});
+
+/**
+ * Default schedule profile (PRD §4)
+ * Pharmacies override any field in Firestore: pharmacies/{id}.scheduleProfile,
+ * and per date in pharmacies/{id}.scheduleOverrides[YYYY-MM-DD]
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+    dayStart: DAY_START,
+    dayEnd: DAY_END,
+    slotDuration: SLOT_DURATION,
+    lunchDuration: LUNCH_DURATION,
+    techBreakDuration: TECH_BREAK_DURATION,
+    rules: DEFAULT_RULES
+});
+
 // Pixel scale: 15 min = 24px
 export const PX_PER_15MIN = 24;
 export const PX_PER_MINUTE = PX_PER_15MIN / 15;
@@ -19,7 +48,8 @@ export const PX_PER_MINUTE = PX_PER_15MIN / 15;
 export const BLOCK_TYPES = {
     SLOT: 'slot',
     LUNCH: 'lunch',
-    TECH_BREAK: 'techBreak'
+    TECH_BREAK: 'techBreak',
+    GAP: 'gap' // Unavailable time with its own duration (late start, travel, offset bookings)
 };
 
 /**
@@ -47,21 +77,146 @@ export function durationToPx(minutes) {
 }
 
 /**
- * Get duration for a block type
+ * Round a duration to the snap increment, never below one increment
+ */
+export function snapDuration(minutes, increment = SNAP_INCREMENT) {
+    return Math.max(increment, Math.round((Number(minutes) || 0) / increment) * increment);
+}
+
+/**
+ * Get duration for a block
+ * A booked slot lasts as long as its appointment's service; empty slots use the profile length
+ * @param {Object|string} block - Block ({type, id}) or one of BLOCK_TYPES
+ * @param {Object} [profile] - Schedule profile (defaults to DEFAULT_PROFILE)
+ * @param {Object} [appointments] - Map: blockId -> appointment data
  */
-export function getBlockDuration(blockType) {
+export function getBlockDuration(block, profile = DEFAULT_PROFILE, appointments = null) {
+    const blockType = typeof block === 'string' ? block : block?.type;
+
     switch (blockType) {
-        case BLOCK_TYPES.SLOT:
-            return SLOT_DURATION;
+        case BLOCK_TYPES.SLOT: {
+            const apt = typeof block === 'object' ? appointments?.[block.id] : null;
+            if (apt?.isBooked && isValidDuration(apt.duration)) return apt.duration;
+            return profile.slotDuration;
+        }
         case BLOCK_TYPES.LUNCH:
-            return LUNCH_DURATION;
+            return profile.lunchDuration;
         case BLOCK_TYPES.TECH_BREAK:
-            return TECH_BREAK_DURATION;
+            return profile.techBreakDuration;
+        case BLOCK_TYPES.GAP:
+            return snapDuration(typeof block === 'object' ? block.duration : 0);
         default:
-            return SLOT_DURATION;
+            return profile.slotDuration;
     }
 }
 
+// ==========================================
+// Schedule Profiles
+// ==========================================
+
+function isValidTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isValidDuration(value) {
+    return Number.isInteger(value) && value > 0 && value <= 240;
+}
+
+/**
+ * Merge partial profile values over a base, ignoring invalid fields
+ */
+function mergeProfile(base, overrides) {
+    const merged = { ...base };
+    if (!overrides || typeof overrides !== 'object') return merged;
+
+    ['dayStart', 'dayEnd'].forEach(key => {
+        if (isValidTime(overrides[key])) merged[key] = overrides[key];
+    });
+    ['slotDuration', 'lunchDuration', 'techBreakDuration'].forEach(key => {
+        const value = Number(overrides[key]);
+        if (isValidDuration(value)) merged[key] = value;
+    });
+    merged.rules = mergeRules(base.rules || DEFAULT_RULES, overrides.rules);
+
+    // A day that ends before it starts is unusable - keep the base hours
+    if (timeToMinutes(merged.dayEnd) <= timeToMinutes(merged.dayStart)) {
+        merged.dayStart = base.dayStart;
+        merged.dayEnd = base.dayEnd;
+    }
+
+    return merged;
+}
+
+/**
+ * Merge partial rule values over a base, ignoring invalid fields
+ */
+function mergeRules(base, overrides) {
+    const merged = { ...base };
+    if (!overrides || typeof overrides !== 'object') return merged;
+
+    ['lunchWindowStart', 'lunchWindowEnd'].forEach(key => {
+        if (isValidTime(overrides[key])) merged[key] = overrides[key];
+    });
+    if (timeToMinutes(merged.lunchWindowEnd) < timeToMinutes(merged.lunchWindowStart)) {
+        merged.lunchWindowStart = base.lunchWindowStart;
+        merged.lunchWindowEnd = base.lunchWindowEnd;
+    }
+
+    const maxConsecutive = Number(overrides.maxConsecutiveSessions);
+    if (Number.isInteger(maxConsecutive) && maxConsecutive >= 0 && maxConsecutive <= 20) {
+        merged.maxConsecutiveSessions = maxConsecutive;
+    }
+    const minBetween = Number(overrides.minMinutesBetweenSessions);
+    if (Number.isInteger(minBetween) && minBetween >= 0 && minBetween <= 120) {
+        merged.minMinutesBetweenSessions = minBetween;
+    }
+    if (typeof overrides.blockSave === 'boolean') merged.blockSave = overrides.blockSave;
+
+    return merged;
+}
+
+/**
+ * Resolve the schedule profile a pharmacy uses on a given date
+ * @param {Object|null} pharmacy - Pharmacy document data
+ * @param {string} [dateStr] - Date "YYYY-MM-DD" for per-date overrides
+ * @returns {Object} Complete profile
+ */
+export function resolveScheduleProfile(pharmacy, dateStr = null) {
+    const baseProfile = mergeProfile(DEFAULT_PROFILE, pharmacy?.scheduleProfile);
+    const dateOverride = dateStr ? pharmacy?.scheduleOverrides?.[dateStr] : null;
+    return mergeProfile(baseProfile, dateOverride);
+}
+
+/**
+ * Get the profile stored on a schedule (falls back to defaults)
+ */
+export function getScheduleProfile(schedule) {
+    return mergeProfile(DEFAULT_PROFILE, schedule?.profile);
+}
+
+/**
+ * Length of the working day in minutes
+ */
+export function getDayLength(profile = DEFAULT_PROFILE) {
+    return timeToMinutes(profile.dayEnd) - timeToMinutes(profile.dayStart);
+}
+
+/**
+ * Block position that puts lunch around DEFAULT_LUNCH_TIME
+ */
+export function getDefaultLunchPosition(profile = DEFAULT_PROFILE) {
+    const minutesUntilLunch = timeToMinutes(DEFAULT_LUNCH_TIME) - timeToMinutes(profile.dayStart);
+    return Math.max(0, Math.ceil(minutesUntilLunch / profile.slotDuration));
+}
+
+/**
+ * Bookable slots in a typical day (with lunch + 2 tech breaks)
+ */
+export function getMaxBookableSlots(profile = DEFAULT_PROFILE) {
+    const freeMinutes = getDayLength(profile) - profile.lunchDuration - 2 * profile.techBreakDuration;
+    return Math.max(0, Math.floor(freeMinutes / profile.slotDuration));
+}
+
 /**
  * Generate a unique ID
  */
@@ -71,12 +226,12 @@ export function generateId() {
 
 /**
  * Create default block list to fill the day
- * @param {number} lunchPosition - Position in list for lunch (0-indexed)
+ * @param {number} [lunchPosition] - Position in list for lunch (0-indexed)
+ * @param {Object} [profile] - Schedule profile
  */
-function createDefaultBlocks(lunchPosition = 4) {
-    const dayStartMin = timeToMinutes(DAY_START);
-    const dayEndMin = timeToMinutes(DAY_END);
-    const totalMinutes = dayEndMin - dayStartMin; // 600 min = 10 hours
+function createDefaultBlocks(lunchPosition = null, profile = DEFAULT_PROFILE) {
+    const totalMinutes = getDayLength(profile); // 600 min = 10 hours by default
+    if (lunchPosition === null) lunchPosition = getDefaultLunchPosition(profile);
 
     const blocks = [];
     let currentMinutes = 0;
@@ -91,14 +246,14 @@ function createDefaultBlocks(lunchPosition = 4) {
                 type: BLOCK_TYPES.LUNCH,
                 id: 'lunch'
             });
-            currentMinutes += LUNCH_DURATION;
+            currentMinutes += profile.lunchDuration;
             hasLunch = true;
-        } else if (currentMinutes + SLOT_DURATION <= totalMinutes) {
+        } else if (currentMinutes + profile.slotDuration <= totalMinutes) {
             blocks.push({
                 type: BLOCK_TYPES.SLOT,
                 id: generateId()
             });
-            currentMinutes += SLOT_DURATION;
+            currentMinutes += profile.slotDuration;
             slotCount++;
         } else {
             // Not enough time for another slot
@@ -109,6 +264,18 @@ function createDefaultBlocks(lunchPosition = 4) {
     return blocks;
 }
 
+/**
+ * Create an empty schedule for a day
+ * @param {Object} [profile] - Schedule profile the day uses
+ */
+export function createDefaultSchedule(profile = DEFAULT_PROFILE) {
+    return {
+        blocks: createDefaultBlocks(null, profile), // Lunch around 12:00
+        appointments: {}, // Map: blockId -> appointment data
+        profile: { ...profile }
+    };
+}
+
 /**
  * Create a new empty state object
  */
@@ -120,13 +287,15 @@ export function createInitialState() {
             previewMode: false,
             selectedSlotId: null,
             selectedBlockIndex: null,
-            drawerOpen: false
-        },
-        schedule: {
-            blocks: createDefaultBlocks(4), // Lunch at position 4 (around 12:00)
-            appointments: {} // Map: blockId -> appointment data
+            selectedClientId: null,
+            drawerOpen: false,
+            focusedRowId: null, // Timeline row that keeps keyboard focus across re-renders
+            view: 'day' // 'day' | 'week' | 'month'
         },
+        schedule: createDefaultSchedule(),
         proposed: null,
+        proposedBase: null, // Server copy the proposal was made from
+        proposedClient: null, // Client record to save once the proposal is applied
         needsReschedule: [],
         computed: {
             slots: []
@@ -140,8 +309,7 @@ export function createInitialState() {
  * New format: { blocks, appointments (by blockId) }
  */
 function migrateOldScheduleFormat(schedule) {
-    const dayStartMin = timeToMinutes(DAY_START);
-    const dayEndMin = timeToMinutes(DAY_END);
+    const profile = getScheduleProfile(schedule);
 
     // Already has blocks array
     if (schedule.blocks && Array.isArray(schedule.blocks)) {
@@ -163,22 +331,22 @@ function migrateOldScheduleFormat(schedule) {
         // Pad schedule with slots to fill the full day
         let currentMinutes = 0;
         for (const block of schedule.blocks) {
-            currentMinutes += getBlockDuration(block.type);
+            currentMinutes += getBlockDuration(block, profile, schedule.appointments);
         }
 
-        const totalDayMinutes = dayEndMin - dayStartMin;
-        while (currentMinutes + SLOT_DURATION <= totalDayMinutes) {
+        const totalDayMinutes = getDayLength(profile);
+        while (currentMinutes + profile.slotDuration <= totalDayMinutes) {
             schedule.blocks.push({
                 type: BLOCK_TYPES.SLOT,
                 id: generateId()
             });
-            currentMinutes += SLOT_DURATION;
+            currentMinutes += profile.slotDuration;
         }
 
         // Ensure there's at least one lunch block
         if (lunchCount === 0) {
-            // Insert lunch at position 4 (or end if less blocks)
-            const lunchPos = Math.min(4, schedule.blocks.length);
+            // Insert lunch around 12:00 (or end if less blocks)
+            const lunchPos = Math.min(getDefaultLunchPosition(profile), schedule.blocks.length);
             schedule.blocks.splice(lunchPos, 0, {
                 type: BLOCK_TYPES.LUNCH,
                 id: 'lunch'
@@ -188,49 +356,211 @@ function migrateOldScheduleFormat(schedule) {
         return schedule;
     }
 
-    // Create fresh blocks for old/invalid data
-    const blocks = createDefaultBlocks(4);
+    // Old format: lay the day out again and move each booking onto a block
+    return convertTimeKeyedSchedule(schedule, profile);
+}
 
-    // Migrate appointments if they exist (old format used time as key)
-    const newAppointments = {};
-    if (schedule.appointments) {
-        // Old appointments were keyed by time - need to map to block IDs
-        // For simplicity, just reset appointments on migration
-        // (old format is incompatible)
+/**
+ * Whether stored appointment data is a booking
+ * Bookings saved before isBooked existed only carry their client fields
+ */
+export function hasBookingData(apt) {
+    if (!apt || typeof apt !== 'object') return false;
+    return apt.isBooked === true || Boolean(apt.name || apt.contact || apt.status || apt.notes);
+}
+
+/**
+ * Convert an old time-keyed schedule to blocks, keeping its bookings
+ * Lunch and tech breaks go at the first slot boundary at or after their old time;
+ * each booking keeps its slot when a free one still starts at its old time.
+ * Block IDs come from start times, so every device converting the same document gets the same blocks.
+ * Bookings that cannot keep their time are never moved to another one - they are placed past
+ * day end, where reflow() reports them for rescheduling with their old time.
+ * @param {Object} schedule - { lunchStart, techBreaks, appointments: { "HH:MM": data } }
+ * @param {Object} [profile] - Schedule profile the day uses
+ * @returns {{blocks: Array<Object>, appointments: Object}}
+ */
+export function convertTimeKeyedSchedule(schedule, profile = getScheduleProfile(schedule)) {
+    const dayStart = timeToMinutes(profile.dayStart);
+    const dayLength = getDayLength(profile);
+    const idFor = (prefix, minutes) => `${prefix}-${minutesToTime(dayStart + minutes).replace(':', '')}`;
+
+    const breakTimes = (Array.isArray(schedule.techBreaks) ? schedule.techBreaks : [])
+        .map(entry => typeof entry === 'string' ? entry : entry?.start || entry?.time)
+        .filter(isValidTime);
+    const breaks = [
+        { type: BLOCK_TYPES.LUNCH, start: isValidTime(schedule.lunchStart) ? schedule.lunchStart : DEFAULT_LUNCH_TIME },
+        ...[...new Set(breakTimes)].map(start => ({ type: BLOCK_TYPES.TECH_BREAK, start }))
+    ]
+        .map(entry => ({ type: entry.type, minutes: timeToMinutes(entry.start) - dayStart }))
+        .sort((a, b) => a.minutes - b.minutes);
+
+    const blocks = [];
+    const freeSlots = [];
+    let currentMinutes = 0;
+    while (currentMinutes < dayLength) {
+        if (breaks.length > 0 && breaks[0].minutes <= currentMinutes) {
+            const { type } = breaks.shift();
+            blocks.push({ type, id: type === BLOCK_TYPES.LUNCH ? 'lunch' : idFor('break', currentMinutes) });
+            currentMinutes += getBlockDuration(type, profile);
+        } else if (currentMinutes + profile.slotDuration <= dayLength) {
+            const slot = { type: BLOCK_TYPES.SLOT, id: idFor('slot', currentMinutes) };
+            blocks.push(slot);
+            freeSlots.push({ id: slot.id, minutes: currentMinutes });
+            currentMinutes += profile.slotDuration;
+        } else {
+            break;
+        }
     }
 
-    return {
-        blocks,
-        appointments: newAppointments
+    // Lunch is mandatory - kept even when its old time is past day end
+    breaks.filter(entry => entry.type === BLOCK_TYPES.LUNCH).forEach(() => blocks.push({ type: BLOCK_TYPES.LUNCH, id: 'lunch' }));
+
+    const appointments = {};
+    Object.entries(schedule.appointments || {})
+        .filter(([, apt]) => hasBookingData(apt))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([time, apt], index) => {
+            // Bookings without a time were never promised one - any free slot will do
+            const target = isValidTime(time) ? timeToMinutes(time) - dayStart : null;
+            const best = target === null
+                ? (freeSlots.length > 0 ? 0 : -1)
+                : freeSlots.findIndex(slot => slot.minutes === target);
+
+            let blockId;
+            if (best === -1) {
+                blockId = `slot-unplaced-${index}`;
+                blocks.push({ type: BLOCK_TYPES.SLOT, id: blockId });
+            } else {
+                blockId = freeSlots.splice(best, 1)[0].id;
+            }
+
+            appointments[blockId] = { ...apt, isBooked: true };
+            if (target !== null) appointments[blockId].time = time;
+        });
+
+    return { blocks, appointments };
+}
+
+// ==========================================
+// Fixed-Time Appointments
+// ==========================================
+
+/**
+ * Start of a booking pinned to the time promised to the client, in minutes
+ * @returns {number|null} null when the booking may move with the blocks around it
+ */
+export function getFixedStart(appointment) {
+    return appointment?.isBooked && isValidTime(appointment.fixedTime) ? timeToMinutes(appointment.fixedTime) : null;
+}
+
+/**
+ * Reorder blocks so pinned bookings can keep their fixed time
+ * Other blocks keep their relative order; any that no longer fit before a
+ * pinned booking move past it, leaving idle time before the pin if needed
+ */
+function arrangeAroundPins(blocks, appointments, profile) {
+    const fixedStartOf = block => block.type === BLOCK_TYPES.SLOT ? getFixedStart(appointments[block.id]) : null;
+    if (!blocks.some(block => fixedStartOf(block) !== null)) return blocks;
+
+    const arranged = [];
+    const waiting = [];
+    let currentTime = timeToMinutes(profile.dayStart);
+    const place = block => {
+        arranged.push(block);
+        currentTime += getBlockDuration(block, profile, appointments);
     };
+
+    blocks.forEach(block => {
+        const fixedStart = fixedStartOf(block);
+        if (fixedStart === null) {
+            waiting.push(block);
+            return;
+        }
+        while (waiting.length > 0 && currentTime + getBlockDuration(waiting[0], profile, appointments) <= fixedStart) {
+            place(waiting.shift());
+        }
+        currentTime = Math.max(currentTime, fixedStart);
+        place(block);
+    });
+    waiting.forEach(place);
+
+    return arranged;
 }
 
 /**
  * Main reflow function - calculate times from block order
+ * Blocks that no longer fit before the day ends are trimmed from the end (PRD §5.5);
+ * trimmed booked appointments are returned in needsReschedule.
+ * Bookings with a fixedTime keep it: blocks flow around them and idle items fill
+ * any time left before them; pins that cannot be kept are listed in pinConflicts.
+ * The schedule's blocks keep their stored order - the order around pins is returned
+ * as blocks, and blockIndex always points into schedule.blocks.
  * @param {Object} schedule - Contains blocks and appointments
+ * @param {Object} [previousSchedule] - Schedule before the change, used to report former start times
  * @returns {Object} - scheduleItems with calculated times
  */
-export function reflow(schedule) {
-    const dayStartMin = timeToMinutes(DAY_START);
-    const dayEndMin = timeToMinutes(DAY_END);
+export function reflow(schedule, previousSchedule = null) {
+    const profile = getScheduleProfile(schedule);
+    const dayStartMin = timeToMinutes(profile.dayStart);
+    const dayEndMin = timeToMinutes(profile.dayEnd);
 
     // Migrate old data format if needed
     const migratedSchedule = migrateOldScheduleFormat(schedule);
     schedule.blocks = migratedSchedule.blocks;
     schedule.appointments = migratedSchedule.appointments || schedule.appointments || {};
+    const blocks = arrangeAroundPins(schedule.blocks, schedule.appointments, profile);
+    const storedIndex = new Map(schedule.blocks.map((block, index) => [block.id, index]));
+
+    // Start times before the change, so trimmed clients can be told what they lost
+    const formerStarts = {};
+    if (previousSchedule) {
+        reflow(previousSchedule).scheduleItems.forEach(item => {
+            formerStarts[item.id] = item.start;
+        });
+    }
 
     const scheduleItems = [];
     const slots = [];
     const appointments = [];
+    const needsReschedule = [];
+    const pinConflicts = [];
     let currentTime = dayStartMin;
+    let isTrimming = false;
+
+    for (const block of blocks) {
+        const i = storedIndex.get(block.id);
+        const duration = getBlockDuration(block, profile, schedule.appointments);
+        const fixedStart = block.type === BLOCK_TYPES.SLOT ? getFixedStart(schedule.appointments[block.id]) : null;
+
+        // Nothing can be placed before a pinned booking - leave the time idle
+        if (!isTrimming && fixedStart !== null && fixedStart > currentTime && fixedStart + duration <= dayEndMin) {
+            scheduleItems.push({
+                id: `idle-${block.id}`,
+                type: 'idle',
+                start: minutesToTime(currentTime),
+                end: minutesToTime(fixedStart),
+                blockIndex: i,
+                duration: fixedStart - currentTime
+            });
+            currentTime = fixedStart;
+        }
 
-    for (let i = 0; i < schedule.blocks.length; i++) {
-        const block = schedule.blocks[i];
-        const duration = getBlockDuration(block.type);
+        // Once a block exceeds day end, it and everything after it is trimmed
+        if (isTrimming || currentTime + duration > dayEndMin) {
+            isTrimming = true;
 
-        // Check if we exceed day end
-        if (currentTime + duration > dayEndMin) {
-            break;
+            const aptData = block.type === BLOCK_TYPES.SLOT ? schedule.appointments[block.id] : null;
+            if (aptData && aptData.isBooked) {
+                needsReschedule.push({
+                    ...aptData,
+                    id: block.id,
+                    blockIndex: i,
+                    isBooked: true,
+                    formerStart: formerStarts[block.id] || aptData.time || null
+                });
+            }
+            continue;
         }
 
         const startTime = minutesToTime(currentTime);
@@ -245,6 +575,11 @@ export function reflow(schedule) {
             duration: duration
         };
 
+        // Earlier blocks overran the promised time
+        if (fixedStart !== null && fixedStart !== currentTime) {
+            pinConflicts.push({ id: block.id, fixedTime: minutesToTime(fixedStart), start: startTime });
+        }
+
         // If it's a slot, check for appointment data
         if (block.type === BLOCK_TYPES.SLOT) {
             const aptData = schedule.appointments[block.id];
@@ -275,10 +610,30 @@ export function reflow(schedule) {
     }
 
     return {
+        blocks, // Blocks in the order they are laid out
         scheduleItems,
         slots, // Empty (available) slots
         appointments, // Booked appointments
-        needsReschedule: []
+        needsReschedule, // Booked appointments trimmed past day end
+        pinConflicts // Pinned bookings that could not keep their fixed time
+    };
+}
+
+/**
+ * Record each placed appointment's current start time on its data
+ * Lets reflow() report a former start once the appointment gets trimmed
+ */
+export function recordAppointmentTimes(schedule) {
+    const { appointments } = reflow(schedule);
+    const newAppointments = { ...schedule.appointments };
+
+    appointments.forEach(apt => {
+        newAppointments[apt.id] = { ...newAppointments[apt.id], time: apt.start };
+    });
+
+    return {
+        ...schedule,
+        appointments: newAppointments
     };
 }
 
@@ -341,11 +696,12 @@ export function findBlockIndex(schedule, blockId) {
 
 /**
  * Add a technical break at a position
+ * @param {string} [id] - Keep an existing break's ID when placing it again
  */
-export function addTechBreak(schedule, position = null) {
+export function addTechBreak(schedule, position = null, id = null) {
     // If no position specified, add after the first block
     const pos = position !== null ? position : 1;
-    return insertBlock(schedule, pos, BLOCK_TYPES.TECH_BREAK);
+    return insertBlock(schedule, pos, BLOCK_TYPES.TECH_BREAK, id);
 }
 
 /**
@@ -375,6 +731,167 @@ export function moveTechBreak(schedule, breakId, newPosition) {
     return moveBlock(schedule, breakIndex, newPosition);
 }
 
+/**
+ * Insert unavailable time at a position
+ * @param {number} duration - Minutes, snapped to SNAP_INCREMENT
+ */
+export function insertGap(schedule, position, duration = SNAP_INCREMENT) {
+    const newBlocks = [...schedule.blocks];
+    newBlocks.splice(position, 0, { type: BLOCK_TYPES.GAP, id: generateId(), duration: snapDuration(duration) });
+
+    return {
+        ...schedule,
+        blocks: newBlocks
+    };
+}
+
+/**
+ * Change how long a gap lasts
+ * @param {number} duration - Minutes, snapped to SNAP_INCREMENT
+ */
+export function resizeGap(schedule, gapId, duration) {
+    return {
+        ...schedule,
+        blocks: schedule.blocks.map(block => block.id === gapId && block.type === BLOCK_TYPES.GAP
+            ? { ...block, duration: snapDuration(duration) }
+            : block)
+    };
+}
+
+/**
+ * Push a block later: extends the gap right before it, or inserts one
+ */
+export function delayBlock(schedule, blockId, minutes = SNAP_INCREMENT) {
+    const index = findBlockIndex(schedule, blockId);
+    if (index === -1) return schedule;
+
+    const previous = schedule.blocks[index - 1];
+    if (previous?.type === BLOCK_TYPES.GAP) {
+        return resizeGap(schedule, previous.id, getBlockDuration(previous) + minutes);
+    }
+    return insertGap(schedule, index, minutes);
+}
+
+// ==========================================
+// Day Layouts
+// ==========================================
+
+/**
+ * A schedule's block order without its bookings - what layout templates store
+ * @returns {Array<{type: string, duration?: number}>}
+ */
+export function getLayout(schedule) {
+    return schedule.blocks.map(block => block.type === BLOCK_TYPES.GAP
+        ? { type: block.type, duration: getBlockDuration(block) }
+        : { type: block.type });
+}
+
+/**
+ * Keep only what a layout may hold: known block types, a single lunch, snapped gap lengths
+ * @param {Array<Object>} layout - Stored or edited layout
+ * @returns {Array<{type: string, duration?: number}>}
+ */
+export function normalizeLayout(layout) {
+    const types = Object.values(BLOCK_TYPES);
+    let hasLunch = false;
+
+    return (Array.isArray(layout) ? layout : []).filter(entry => {
+        if (!types.includes(entry?.type)) return false;
+        if (entry.type !== BLOCK_TYPES.LUNCH) return true;
+        if (hasLunch) return false;
+        hasLunch = true;
+        return true;
+    }).map(entry => entry.type === BLOCK_TYPES.GAP
+        ? { type: entry.type, duration: snapDuration(entry.duration) }
+        : { type: entry.type });
+}
+
+/**
+ * Lay a schedule out like a template or another day, keeping every appointment
+ * The layout's slots take over the schedule's slot IDs in order, so bookings stay on
+ * their slots (their times may shift); booked slots the layout has no room for follow
+ * at the end. A layout shorter than the day is filled up with slots.
+ * @param {Array<{type: string, duration?: number}>} layout - From getLayout() or a template
+ */
+export function applyLayout(schedule, layout) {
+    const profile = getScheduleProfile(schedule);
+    const slotIds = schedule.blocks.filter(block => block.type === BLOCK_TYPES.SLOT).map(block => block.id);
+    const breakIds = schedule.blocks.filter(block => block.type === BLOCK_TYPES.TECH_BREAK).map(block => block.id);
+    let slotCount = 0;
+
+    const blocks = normalizeLayout(layout).map(entry => {
+        switch (entry.type) {
+            case BLOCK_TYPES.SLOT:
+                return { type: entry.type, id: slotIds[slotCount++] || generateId() };
+            case BLOCK_TYPES.LUNCH:
+                return { type: entry.type, id: 'lunch' };
+            case BLOCK_TYPES.TECH_BREAK:
+                return { type: entry.type, id: breakIds.shift() || generateId() };
+            default:
+                return { type: entry.type, id: generateId(), duration: entry.duration };
+        }
+    });
+
+    let totalMinutes = blocks.reduce((sum, block) => sum + getBlockDuration(block, profile, schedule.appointments), 0);
+    while (totalMinutes + profile.slotDuration <= getDayLength(profile)) {
+        blocks.push({ type: BLOCK_TYPES.SLOT, id: slotIds[slotCount++] || generateId() });
+        totalMinutes += profile.slotDuration;
+    }
+
+    slotIds.slice(slotCount).forEach(id => {
+        if (schedule.appointments?.[id]?.isBooked) blocks.push({ type: BLOCK_TYPES.SLOT, id });
+    });
+
+    return {
+        ...schedule,
+        blocks
+    };
+}
+
+/**
+ * Timestamp recorded on a booking when it enters each status
+ */
+export const STATUS_TIMESTAMPS = Object.freeze({
+    'checked-in': 'checkedInAt',
+    'in-progress': 'startedAt',
+    completed: 'completedAt',
+    'no-show': 'noShowAt'
+});
+
+// A visit's steps in order - stamps of later steps are dropped when the status is set back
+const STATUS_FLOW = ['scheduled', 'checked-in', 'in-progress', 'completed'];
+
+/**
+ * Status timestamps of a booking set to a status
+ * Entering a status stamps it now and keeps the stamps of earlier visit steps;
+ * stamps of later steps or of another outcome go, e.g. when a mistaken tap is undone
+ * @param {Object|null} previous - Booking data before the change
+ * @param {string} status - New status
+ * @param {string} [now] - ISO timestamp
+ * @returns {Object} Map: timestamp field -> ISO time
+ */
+export function getStatusTimestamps(previous, status, now = new Date().toISOString()) {
+    const stamps = {};
+    const keep = field => {
+        if (previous?.[field]) stamps[field] = previous[field];
+    };
+
+    // Saved again without a status change - nothing new happened
+    if (previous?.status === status) {
+        Object.values(STATUS_TIMESTAMPS).forEach(keep);
+        return stamps;
+    }
+
+    const position = STATUS_FLOW.indexOf(status);
+    (position > 0 ? STATUS_FLOW.slice(1, position) : []).forEach(step => keep(STATUS_TIMESTAMPS[step]));
+
+    // A step back (e.g. completed -> in progress) keeps the time the step was first reached
+    const field = STATUS_TIMESTAMPS[status];
+    const isStepBack = position > 0 && STATUS_FLOW.indexOf(previous?.status) > position;
+    if (field) stamps[field] = isStepBack && previous[field] ? previous[field] : now;
+    return stamps;
+}
+
 /**
  * Book an appointment (store data for a slot)
  */
@@ -429,21 +946,261 @@ export function moveAppointment(schedule, fromBlockId, toBlockId) {
     };
 }
 
+/**
+ * Exchange the bookings on two slots (either may be empty)
+ */
+export function swapAppointments(schedule, blockIdA, blockIdB) {
+    const newAppointments = { ...schedule.appointments };
+    const aptA = newAppointments[blockIdA];
+    const aptB = newAppointments[blockIdB];
+
+    delete newAppointments[blockIdA];
+    delete newAppointments[blockIdB];
+    if (aptB) newAppointments[blockIdA] = aptB;
+    if (aptA) newAppointments[blockIdB] = aptA;
+
+    return {
+        ...schedule,
+        appointments: newAppointments
+    };
+}
+
+/**
+ * Move a booking from one schedule to a free slot of another (another day or expert)
+ * The promised time and the day's progress belong to the old schedule, so the pin,
+ * last known time, status and status timestamps are reset
+ * @returns {{source: Object, target: Object}|null} Both schedules, or null when the
+ *   booking is gone or the slot is no longer free
+ */
+export function transferAppointment(source, target, fromBlockId, toBlockId) {
+    reflow(source); // Brings old-format documents to block IDs
+    const aptData = source.appointments[fromBlockId];
+    if (!aptData?.isBooked || !reflow(target).slots.some(slot => slot.id === toBlockId)) return null;
+
+    const { time, fixedTime, ...details } = aptData;
+    Object.values(STATUS_TIMESTAMPS).forEach(field => delete details[field]);
+    details.statusHistory = appendStatusHistory(aptData, 'scheduled');
+
+    return {
+        source: clearAppointment(source, fromBlockId),
+        target: {
+            ...target,
+            appointments: {
+                ...target.appointments,
+                [toBlockId]: { ...details, status: 'scheduled', fixedTime: null }
+            }
+        }
+    };
+}
+
+// ==========================================
+// Status History & Cancellations
+// ==========================================
+
+/**
+ * Why a booking was cancelled - labels in strings.*.json under cancelReasons
+ */
+export const CANCELLATION_REASONS = Object.freeze(['client', 'pharmacy', 'expertAbsent', 'weather']);
+
+/**
+ * A booking's status history with the change to a status appended
+ * Entries are only ever added; saving a booking without changing its status adds nothing
+ * @param {Object|null} previous - Booking data before the change
+ * @param {string} status - Status after the change
+ * @param {Object} [change]
+ * @param {{role: string, name: string}|null} [change.by] - Who made the change
+ * @param {string|null} [change.reason] - One of CANCELLATION_REASONS, for cancellations
+ * @param {string} [change.at] - ISO timestamp
+ * @returns {Array<{status: string, at: string, by?: Object, reason?: string}>}
+ */
+export function appendStatusHistory(previous, status, { by = null, reason = null, at = new Date().toISOString() } = {}) {
+    const history = Array.isArray(previous?.statusHistory) ? previous.statusHistory : [];
+    if (previous?.isBooked && (previous.status || 'scheduled') === status) return history;
+
+    const entry = { status, at };
+    if (by) entry.by = by;
+    if (reason) entry.reason = reason;
+    return [...history, entry];
+}
+
+/**
+ * Bookings cancelled with their slot freed, kept as a record of the day
+ * @returns {Array<Object>} Booking data plus id, blockId and time (its start when cancelled)
+ */
+export function getCancelledAppointments(schedule) {
+    return Array.isArray(schedule?.cancelledAppointments) ? schedule.cancelledAppointments : [];
+}
+
+/**
+ * Cancel a booking - a status change, not a deletion
+ * @param {Object} schedule - Schedule
+ * @param {string} blockId - Booked slot
+ * @param {Object} cancellation
+ * @param {string} cancellation.reason - One of CANCELLATION_REASONS
+ * @param {{role: string, name: string}} cancellation.by - Who cancelled it
+ * @param {boolean} [cancellation.keepSlot] - Leave the booking in its slot, still taking the time;
+ *   otherwise it moves to the day's cancelled list and the slot is free again
+ * @param {string} [cancellation.at] - ISO timestamp
+ * @returns {Object|null} New schedule, or null when the slot holds no active booking
+ */
+export function cancelAppointment(schedule, blockId, { reason, by, keepSlot = false, at = new Date().toISOString() }) {
+    const aptData = schedule.appointments?.[blockId];
+    if (!aptData?.isBooked || aptData.status === 'cancelled') return null;
+
+    const cancelled = {
+        ...aptData,
+        status: 'cancelled',
+        cancellation: { reason, by, at, keptSlot: keepSlot },
+        statusHistory: appendStatusHistory(aptData, 'cancelled', { by, reason, at })
+    };
+
+    if (keepSlot) {
+        return { ...schedule, appointments: { ...schedule.appointments, [blockId]: cancelled } };
+    }
+
+    const start = reflow(schedule).appointments.find(apt => apt.id === blockId)?.start || aptData.time || null;
+    return {
+        ...clearAppointment(schedule, blockId),
+        cancelledAppointments: [
+            ...getCancelledAppointments(schedule),
+            { ...cancelled, id: generateId(), blockId, time: start, fixedTime: null }
+        ]
+    };
+}
+
+// ==========================================
+// Day Close-Out
+// ==========================================
+
+/**
+ * Outcomes an open booking can be given when the day is closed
+ */
+export const CLOSING_STATUSES = Object.freeze(['completed', 'no-show']);
+
+/**
+ * Whether the day has been closed - its layout can no longer be edited
+ */
+export function isDayClosed(schedule) {
+    return Boolean(schedule?.closure?.closedAt);
+}
+
+/**
+ * Bookings that still need an outcome: not completed, a no-show or cancelled
+ * Bookings trimmed past day end count too, at the time they last had
+ * @returns {Array<Object>} Booking data plus id and start (null when never placed)
+ */
+export function getUnresolvedAppointments(schedule) {
+    const { appointments, needsReschedule } = reflow(schedule);
+    return [
+        ...appointments,
+        ...needsReschedule.map(apt => ({ ...apt, start: apt.formerStart }))
+    ].filter(apt => !CLOSING_STATUSES.includes(apt.status) && apt.status !== 'cancelled');
+}
+
+/**
+ * Close the day: give each open booking its outcome and attach the day report
+ * @param {Object} schedule - Schedule
+ * @param {Object} closing
+ * @param {Object} closing.resolutions - Map: blockId -> one of CLOSING_STATUSES, for every unresolved booking
+ * @param {{products: string, remarks: string}} closing.report - Products recommended and remarks for the pharmacy
+ * @param {{role: string, name: string}} closing.by - Who closed the day
+ * @param {string} [closing.at] - ISO timestamp
+ * @returns {Object|null} New schedule, or null when the day is already closed or a booking has no outcome
+ */
+export function closeDay(schedule, { resolutions, report, by, at = new Date().toISOString() }) {
+    if (isDayClosed(schedule)) return null;
+
+    const unresolved = getUnresolvedAppointments(schedule);
+    if (unresolved.some(apt => !CLOSING_STATUSES.includes(resolutions[apt.id]))) return null;
+
+    const appointments = { ...schedule.appointments };
+    unresolved.forEach(({ id }) => {
+        const aptData = appointments[id];
+        const status = resolutions[id];
+        const details = { ...aptData };
+        Object.values(STATUS_TIMESTAMPS).forEach(field => delete details[field]);
+        appointments[id] = {
+            ...details,
+            ...getStatusTimestamps(aptData, status, at),
+            status,
+            statusHistory: appendStatusHistory(aptData, status, { by, at })
+        };
+    });
+
+    return {
+        ...schedule,
+        appointments,
+        closure: {
+            closedAt: at,
+            closedBy: by,
+            products: (report?.products || '').trim(),
+            remarks: (report?.remarks || '').trim()
+        }
+    };
+}
+
+// ==========================================
+// Waitlist
+// ==========================================
+
+/**
+ * Clients waiting for a moment on this schedule's day, in the order they are offered one
+ * @returns {Array<{id: string, name: string, contact: string, serviceId: string|null, clientId: string|null, addedAt: string}>}
+ */
+export function getWaitlist(schedule) {
+    return Array.isArray(schedule?.waitlist) ? schedule.waitlist : [];
+}
+
+/**
+ * Add a client to the end of the waitlist
+ * @param {Object} entry - name, contact, serviceId, clientId
+ */
+export function addToWaitlist(schedule, entry) {
+    return {
+        ...schedule,
+        waitlist: [...getWaitlist(schedule), { ...entry, id: generateId(), addedAt: new Date().toISOString() }]
+    };
+}
+
+export function removeFromWaitlist(schedule, entryId) {
+    return {
+        ...schedule,
+        waitlist: getWaitlist(schedule).filter(entry => entry.id !== entryId)
+    };
+}
+
+/**
+ * Book a waitlisted client into a slot and take them off the list
+ * @param {Object} [details] - Booking fields the entry does not carry (e.g. duration, clientId)
+ */
+export function bookFromWaitlist(schedule, entryId, blockId, details = {}) {
+    const entry = getWaitlist(schedule).find(e => e.id === entryId);
+    if (!entry) return schedule;
+
+    const { id, addedAt, ...client } = entry;
+    return bookAppointment(removeFromWaitlist(schedule, entryId), blockId, {
+        notes: '',
+        ...client,
+        status: 'scheduled',
+        fixedTime: null,
+        statusHistory: appendStatusHistory(null, 'scheduled'),
+        ...details
+    });
+}
+
 /**
  * Calculate what position a Y pixel coordinate corresponds to
- * Used for drag-and-drop
+ * Used for drag-and-drop; works on reflowed items so gaps and idle time count
  */
 export function pixelToBlockPosition(yPixel, schedule) {
-    const dayStartMin = timeToMinutes(DAY_START);
+    const { scheduleItems } = reflow(schedule);
     let currentTop = 0;
 
-    for (let i = 0; i < schedule.blocks.length; i++) {
-        const block = schedule.blocks[i];
-        const duration = getBlockDuration(block.type);
-        const heightPx = durationToPx(duration);
+    for (const item of scheduleItems) {
+        const heightPx = durationToPx(item.duration);
 
         if (yPixel < currentTop + heightPx / 2) {
-            return i;
+            return item.blockIndex;
         }
         currentTop += heightPx;
     }
@@ -455,43 +1212,99 @@ export function pixelToBlockPosition(yPixel, schedule) {
  * Calculate the Y pixel position for a block index
  */
 export function blockPositionToPixel(blockIndex, schedule) {
+    const { scheduleItems } = reflow(schedule);
     let currentTop = 0;
 
-    for (let i = 0; i < blockIndex && i < schedule.blocks.length; i++) {
-        const block = schedule.blocks[i];
-        const duration = getBlockDuration(block.type);
-        currentTop += durationToPx(duration);
+    for (const item of scheduleItems) {
+        // Idle time before a pinned booking shares its index and sits above it
+        if (item.blockIndex === blockIndex && item.type !== 'idle') break;
+        currentTop += durationToPx(item.duration);
     }
 
     return currentTop;
 }
 
+// ==========================================
+// Labour Rules
+// ==========================================
+
+/**
+ * Check a schedule against its profile's labour rules
+ * A run of sessions ends at lunch, a tech break or any free time at least a tech break long
+ * @param {Object} schedule - Schedule to check
+ * @param {Array<Object>} [scheduleItems] - Its reflowed items, if already computed
+ * @returns {Array<{rule: string, blockId: string, start: string|null}>} Violations in timeline order;
+ *   rule is 'lunchWindow', 'maxConsecutive' or 'minBetweenSessions'
+ */
+export function checkScheduleRules(schedule, scheduleItems = null) {
+    const profile = getScheduleProfile(schedule);
+    const { rules } = profile;
+    const items = scheduleItems || reflow(schedule).scheduleItems;
+    const violations = [];
+
+    // Lunch inside its window (a lunch trimmed past day end never starts at all)
+    const lunchBlock = (schedule.blocks || []).find(block => block.type === BLOCK_TYPES.LUNCH);
+    if (lunchBlock) {
+        const lunch = items.find(item => item.id === lunchBlock.id);
+        const lunchStart = lunch ? timeToMinutes(lunch.start) : null;
+        if (lunchStart === null ||
+            lunchStart < timeToMinutes(rules.lunchWindowStart) ||
+            lunchStart > timeToMinutes(rules.lunchWindowEnd)) {
+            violations.push({ rule: 'lunchWindow', blockId: lunchBlock.id, start: lunch?.start || null });
+        }
+    }
+
+    let runLength = 0;
+    let previousEnd = null;
+    items.forEach(item => {
+        if (item.type !== 'bookedAppointment') {
+            if (item.duration >= profile.techBreakDuration) runLength = 0;
+            return;
+        }
+
+        runLength++;
+        if (rules.maxConsecutiveSessions > 0 && runLength === rules.maxConsecutiveSessions + 1) {
+            violations.push({ rule: 'maxConsecutive', blockId: item.id, start: item.start });
+        }
+
+        if (rules.minMinutesBetweenSessions > 0 && previousEnd !== null &&
+            timeToMinutes(item.start) - previousEnd < rules.minMinutesBetweenSessions) {
+            violations.push({ rule: 'minBetweenSessions', blockId: item.id, start: item.start });
+        }
+        previousEnd = timeToMinutes(item.end);
+    });
+
+    return violations;
+}
+
 /**
- * Validate schedule fits within day bounds
+ * Validate schedule fits within day bounds and follows its labour rules
  */
 export function validateSchedule(schedule) {
-    const dayStartMin = timeToMinutes(DAY_START);
-    const dayEndMin = timeToMinutes(DAY_END);
+    const profile = getScheduleProfile(schedule);
+    const maxMinutes = getDayLength(profile);
 
     let totalMinutes = 0;
     for (const block of schedule.blocks) {
-        totalMinutes += getBlockDuration(block.type);
+        totalMinutes += getBlockDuration(block, profile, schedule.appointments);
     }
 
-    const exceeds = totalMinutes > (dayEndMin - dayStartMin);
+    const exceeds = totalMinutes > maxMinutes;
+    const violations = checkScheduleRules(schedule);
     return {
-        valid: !exceeds,
+        valid: !exceeds && violations.length === 0,
         totalMinutes,
-        maxMinutes: dayEndMin - dayStartMin,
-        error: exceeds ? `Schedule exceeds day by ${totalMinutes - (dayEndMin - dayStartMin)} minutes` : null
+        maxMinutes,
+        violations,
+        error: exceeds ? `Schedule exceeds day by ${totalMinutes - maxMinutes} minutes` : null
     };
 }
 
 // Legacy exports for backward compatibility
-export function snapToSlotBoundary(minutes) {
-    const dayStartMin = timeToMinutes(DAY_START);
+export function snapToSlotBoundary(minutes, profile = DEFAULT_PROFILE) {
+    const dayStartMin = timeToMinutes(profile.dayStart);
     const relativeMinutes = minutes - dayStartMin;
-    return dayStartMin + Math.round(relativeMinutes / SLOT_DURATION) * SLOT_DURATION;
+    return dayStartMin + Math.round(relativeMinutes / profile.slotDuration) * profile.slotDuration;
 }
 
 export function findValidTechBreakPosition() {
@@ -0,0 +1,88 @@
+/**
+ * schedules.js - Schedule and assignment document keys
+ * One schedule per date, pharmacy and Skin Expert; one assignment per date and pharmacy
+ */
+
+/**
+ * Expert used when an assignment lists none (single-expert days)
+ */
+export const DEFAULT_EXPERT = Object.freeze({ id: 'expert-1', name: '' });
+
+/**
+ * dateAssignments document ID for a pharmacy on a date
+ * @param {string} dateStr - Date "YYYY-MM-DD"
+ * @param {string} pharmacyId - Pharmacy ID
+ */
+export function getAssignmentDocId(dateStr, pharmacyId) {
+    return `${dateStr}_${pharmacyId}`;
+}
+
+/**
+ * schedules document ID for one expert's day at a pharmacy
+ * @param {string} dateStr - Date "YYYY-MM-DD"
+ * @param {string} pharmacyId - Pharmacy ID
+ * @param {string} expertId - Expert ID
+ */
+export function getScheduleDocId(dateStr, pharmacyId, expertId) {
+    return `${dateStr}_${pharmacyId}_${expertId}`;
+}
+
+/**
+ * Documents written before multi-expert days are keyed by date alone
+ */
+export function isLegacyDocId(docId) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(docId);
+}
+
+/**
+ * Experts working an assignment (always at least one)
+ * @param {Object} assignment - dateAssignments document data
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getAssignmentExperts(assignment) {
+    const experts = Array.isArray(assignment?.experts) ? assignment.experts.filter(e => e?.id) : [];
+    return experts.length > 0 ? experts : [{ ...DEFAULT_EXPERT }];
+}
+
+/**
+ * Schedule document ID for an expert of an assignment
+ * The first expert of a legacy (date-keyed) assignment keeps the legacy date-keyed schedule
+ * @param {Object} assignment - Assignment data including its document `id`
+ * @param {number} expertIndex - Position in getAssignmentExperts()
+ */
+export function getAssignmentScheduleId(assignment, expertIndex) {
+    if (expertIndex === 0 && isLegacyDocId(assignment.id)) return assignment.date;
+
+    const expert = getAssignmentExperts(assignment)[expertIndex];
+    return getScheduleDocId(assignment.date, assignment.pharmacyId, expert.id);
+}
+
+/**
+ * Build an assignment's expert entries from experts picked in the directory
+ * Entries keep their schedule `id` when the same expert stays on the day, and
+ * unlinked experts (typed names, unnamed) hand theirs to the first new pick so
+ * existing bookings are not orphaned. `expertId` points at the experts collection
+ * @param {Array<{id: string, name: string}>} picked - Directory experts, in order
+ * @param {Array<{id: string, name: string, expertId?: string}>} [existing] - Experts currently assigned
+ * @returns {Array<{id: string, name: string, expertId?: string}>}
+ */
+export function buildAssignmentExperts(picked, existing = []) {
+    if (picked.length === 0) {
+        return [{ id: existing[0]?.id || DEFAULT_EXPERT.id, name: '' }];
+    }
+
+    const usedIds = new Set();
+    const unlinked = existing.filter(e => !e.expertId && !picked.some(p => p.name && p.name === e.name));
+
+    return picked.map(expert => {
+        const match = existing.find(e => !usedIds.has(e.id) &&
+            (e.expertId === expert.id || (!e.expertId && e.name && e.name === expert.name)));
+        const reused = match || unlinked.find(e => !usedIds.has(e.id));
+
+        let id = reused?.id || expert.id;
+        while (usedIds.has(id)) id = `${id}-${usedIds.size + 1}`;
+        usedIds.add(id);
+
+        return { id, name: expert.name || '', expertId: expert.id };
+    });
+}
@@ -0,0 +1,37 @@
+/**
+ * services.js - Service catalogue
+ * Treatments a Skin Expert can book, with their durations, colours and prices
+ */
+
+/**
+ * Available services
+ * labelKey points at strings.*.json; price is in euros
+ */
+export const SERVICES = Object.freeze([
+    { id: 'followUp', labelKey: 'services.followUp', duration: 30, color: '#8fb3c9', price: 15 },
+    { id: 'hydration', labelKey: 'services.hydration', duration: 45, color: '#7b9e89', price: 35 },
+    { id: 'acne', labelKey: 'services.acne', duration: 45, color: '#c9a27b', price: 35 },
+    { id: 'antiAging', labelKey: 'services.antiAging', duration: 60, color: '#a98bc4', price: 50 }
+]);
+
+/**
+ * Find a service by ID
+ * @param {string} serviceId - Service ID
+ * @returns {Object|null} Service or null if unknown
+ */
+export function getService(serviceId) {
+    return SERVICES.find(service => service.id === serviceId) || null;
+}
+
+/**
+ * Format a service price for display
+ * @param {number} price - Price in euros
+ * @param {string} lang - Language code
+ */
+export function formatServicePrice(price, lang) {
+    return new Intl.NumberFormat(lang === 'en' ? 'en-GB' : 'pt-PT', {
+        style: 'currency',
+        currency: 'EUR',
+        maximumFractionDigits: 0
+    }).format(price);
+}
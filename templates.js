@@ -0,0 +1,26 @@
+/**
+ * templates.js - Day-layout templates
+ * Named block orders (sessions, lunch, tech breaks, blocked time) that admins define
+ * and pharmacies apply to a day instead of arranging it by hand every morning
+ */
+
+import { db } from './firebase-config.js';
+import { normalizeLayout } from './scheduler.js';
+import { collection, getDocs } from "https://www.gstatic.com/firebasejs/11.1.0/firebase-firestore.js";
+
+/**
+ * Firestore collection: layoutTemplates/{id} = { name, blocks: [{type, duration?}], updatedAt }
+ */
+export const TEMPLATES_COLLECTION = 'layoutTemplates';
+
+/**
+ * All templates, sorted by name; entries that are not valid blocks are dropped
+ * @returns {Promise<Array<{id: string, name: string, blocks: Array<Object>, updatedAt?: string}>>}
+ */
+export async function loadLayoutTemplates() {
+    const snapshot = await getDocs(collection(db, TEMPLATES_COLLECTION));
+    return snapshot.docs
+        .map(d => ({ ...d.data(), id: d.id, name: d.data().name || '', blocks: normalizeLayout(d.data().blocks) }))
+        .filter(template => template.blocks.length > 0)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
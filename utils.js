@@ -0,0 +1,15 @@
+/**
+ * utils.js - Small helpers shared by the pharmacy app and the admin panel
+ */
+
+/**
+ * Text typed by users (names, notes, reports), made safe to place in HTML
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}